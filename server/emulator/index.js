@@ -0,0 +1,26 @@
+// Run the Vonage API emulator on its own: npm run emulator
+// Then point the server at it with VONAGE_API_BASE_URL and VONAGE_REST_BASE_URL (see .env.example)
+require('dotenv').config();
+const { createVonageEmulator } = require('./vonageEmulator');
+
+const PORT = process.env.VONAGE_EMULATOR_PORT || 8010;
+
+const emulator = createVonageEmulator({
+  apiKey: process.env.VONAGE_API_KEY,
+  apiSecret: process.env.VONAGE_API_SECRET,
+  signatureSecret: process.env.VONAGE_SIGNATURE_SECRET,
+  timeScale: Number(process.env.VONAGE_EMULATOR_TIME_SCALE) || 1,
+  utterances: process.env.VONAGE_EMULATOR_UTTERANCES ? process.env.VONAGE_EMULATOR_UTTERANCES.split('|') : undefined,
+  numbers: (process.env.VONAGE_EMULATOR_NUMBERS || '15557654321').split(',').map(number => number.trim().replace(/^\+/, ''))
+});
+
+emulator.listen(PORT, '0.0.0.0').then((url) => {
+  console.log(`Vonage API emulator running on ${url}`);
+  if (!process.env.VONAGE_SIGNATURE_SECRET) {
+    console.warn('VONAGE_SIGNATURE_SECRET is not set: webhooks will be sent unsigned');
+  }
+});
+
+process.on('SIGINT', () => {
+  emulator.close().then(() => process.exit(0));
+});
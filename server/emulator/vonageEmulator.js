@@ -0,0 +1,895 @@
+/**
+ * Vonage API emulator
+ * A local stand-in for the parts of the Vonage API this server uses: applications, numbers,
+ * voice calls, TTS and recording downloads. Calls run on a simulated timeline, stepping through
+ * their NCCO and sending signed answer, event and recording webhooks back to the application,
+ * so call features can be developed and tested without a Vonage account or a public tunnel
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const WebSocket = require('ws');
+
+// The last three digits of a called number pick how the call ends, after the matching SIP response codes
+const CALL_OUTCOMES = {
+  '486': 'busy',
+  '408': 'timeout',
+  '480': 'unanswered',
+  '603': 'rejected',
+  '500': 'failed'
+};
+
+// Simulated timeline in milliseconds, before applying the time scale
+const RING_MS = 2000;
+const TALK_MS_PER_WORD = 400;
+const STREAM_MS = 3000;
+const INPUT_MS = 3000;
+const RECORD_MS = 5000; // Records that end on silence, a key or a timeout
+const HOLD_MS = 10000; // Conversations and websocket connections, before the caller hangs up
+
+// What the simulated caller says to each input action; once these run out, the caller stays silent
+const DEFAULT_UTTERANCES = [
+  'Hi, what are your opening hours?',
+  'Thanks, that is all I needed.'
+];
+
+// Media streamed to websocket endpoints: 16kHz 16-bit PCM in 20ms frames
+const MEDIA_FRAME_MS = 20;
+const MEDIA_FRAME_BYTES = 640;
+
+// MPEG-1 Layer III frames of silence (128 kbit/s, 44.1kHz, mono) for TTS and recording audio
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0xc0]);
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_SECONDS = 1152 / 44100;
+
+// Dialing codes for the countries number search knows about
+const COUNTRY_PREFIXES = { US: '1', CA: '1', GB: '44', DE: '49', FR: '33', ES: '34', IT: '39', NL: '31', AU: '61' };
+
+/**
+ * Create a Vonage API emulator
+ * @param {Object} [options] - Emulator options
+ * @param {string} [options.apiKey] - Account API key; without it any Basic credentials are accepted
+ * @param {string} [options.apiSecret] - Account API secret
+ * @param {string} [options.signatureSecret] - Secret for signing webhooks; without it webhooks are unsigned
+ * @param {number} [options.timeScale] - Multiplier for the call timeline (e.g. 0.1 runs calls 10 times faster)
+ * @param {Array<string>} [options.utterances] - What callers say to input actions, in order
+ * @param {Array<string>} [options.numbers] - Numbers the account owns at startup
+ * @returns {Object} - Emulator with an Express app, listen() and close()
+ */
+function createVonageEmulator(options = {}) {
+  const config = {
+    apiKey: options.apiKey || null,
+    apiSecret: options.apiSecret || null,
+    signatureSecret: options.signatureSecret || null,
+    timeScale: options.timeScale > 0 ? options.timeScale : 1,
+    utterances: options.utterances || DEFAULT_UTTERANCES
+  };
+
+  const applications = new Map();
+  const numbers = new Map();
+  const calls = new Map();
+  const recordings = new Map();
+  let server = null;
+  let baseUrl = null;
+
+  (options.numbers || []).forEach(msisdn => {
+    numbers.set(msisdn, { country: countryForNumber(msisdn), msisdn, type: 'mobile-lvn', features: ['VOICE', 'SMS'], app_id: null });
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    console.log(`[emulator] ${req.method} ${req.path}`);
+    next();
+  });
+
+  // Applications API
+
+  app.post('/v2/applications', requireBasicAuth, (req, res) => {
+    if (!req.body.name) {
+      return sendError(res, 400, 'Bad Request', 'name is required');
+    }
+
+    const application = {
+      id: crypto.randomUUID(),
+      name: req.body.name,
+      capabilities: req.body.capabilities || {},
+      keys: {}
+    };
+
+    // Like Vonage, generate a key pair unless the request brings its own public key
+    let privateKey = null;
+    if (req.body.keys?.public_key) {
+      application.keys.public_key = req.body.keys.public_key;
+    } else {
+      const pair = generateKeyPair();
+      application.keys.public_key = pair.publicKey;
+      privateKey = pair.privateKey;
+    }
+
+    applications.set(application.id, application);
+    res.status(201).json({
+      ...application,
+      keys: privateKey ? { ...application.keys, private_key: privateKey } : application.keys
+    });
+  });
+
+  app.get('/v2/applications', requireBasicAuth, (req, res) => {
+    const pageSize = Math.max(1, Number(req.query.page_size) || 10);
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const all = Array.from(applications.values());
+
+    res.json({
+      page_size: pageSize,
+      page,
+      total_items: all.length,
+      total_pages: Math.max(1, Math.ceil(all.length / pageSize)),
+      _embedded: { applications: all.slice((page - 1) * pageSize, page * pageSize) }
+    });
+  });
+
+  app.get('/v2/applications/:id', requireBasicAuth, findApplication, (req, res) => {
+    res.json(req.application);
+  });
+
+  app.put('/v2/applications/:id', requireBasicAuth, findApplication, (req, res) => {
+    const application = req.application;
+    application.name = req.body.name || application.name;
+    application.capabilities = req.body.capabilities || application.capabilities;
+    if (req.body.keys?.public_key) {
+      application.keys.public_key = req.body.keys.public_key;
+    }
+    res.json(application);
+  });
+
+  app.delete('/v2/applications/:id', requireBasicAuth, findApplication, (req, res) => {
+    applications.delete(req.application.id);
+    numbers.forEach(number => {
+      if (number.app_id === req.application.id) number.app_id = null;
+    });
+    res.status(204).end();
+  });
+
+  // Numbers API
+
+  app.get('/account/numbers', requireBasicAuth, (req, res) => {
+    const size = Math.max(1, Number(req.query.size) || 10);
+    const index = Math.max(1, Number(req.query.index) || 1);
+    const owned = Array.from(numbers.values())
+      .filter(number => !req.query.application_id || number.app_id === req.query.application_id);
+
+    res.json({
+      count: owned.length,
+      numbers: owned.slice((index - 1) * size, index * size)
+    });
+  });
+
+  app.get('/number/search', requireBasicAuth, (req, res) => {
+    const country = String(req.query.country || 'US').toUpperCase();
+    const prefix = req.query.pattern || COUNTRY_PREFIXES[country] || '1';
+    const features = req.query.features ? String(req.query.features).split(',') : ['VOICE', 'SMS'];
+
+    const available = Array.from({ length: 10 }, () => ({
+      country,
+      msisdn: `${prefix}${randomDigits(Math.max(4, 11 - prefix.length))}`,
+      type: req.query.type || 'mobile-lvn',
+      cost: '0.90',
+      features
+    }));
+
+    res.json({ count: available.length, numbers: available });
+  });
+
+  app.post('/number/buy', requireBasicAuth, (req, res) => {
+    const { country, msisdn } = req.body;
+    if (!country || !msisdn || numbers.has(msisdn)) {
+      return sendNumbersResult(res, 420, 'method failed');
+    }
+    numbers.set(msisdn, { country, msisdn, type: 'mobile-lvn', features: ['VOICE', 'SMS'], app_id: null });
+    sendNumbersResult(res, 200, 'success');
+  });
+
+  app.post('/number/cancel', requireBasicAuth, (req, res) => {
+    if (!numbers.delete(req.body.msisdn)) {
+      return sendNumbersResult(res, 420, 'method failed');
+    }
+    sendNumbersResult(res, 200, 'success');
+  });
+
+  app.post('/number/update', requireBasicAuth, (req, res) => {
+    const number = numbers.get(req.body.msisdn);
+    if (!number || (req.body.app_id && !applications.has(req.body.app_id))) {
+      return sendNumbersResult(res, 420, 'method failed');
+    }
+    number.app_id = req.body.app_id || null;
+    sendNumbersResult(res, 200, 'success');
+  });
+
+  // TTS API
+
+  app.post('/v0.1/tts', (req, res) => {
+    const params = { ...req.query, ...req.body };
+    if (!checkApiCredentials(params.api_key, params.api_secret)) {
+      return sendError(res, 401, 'Unauthorized', 'Invalid api_key or api_secret');
+    }
+    if (!params.text) {
+      return sendError(res, 400, 'Bad Request', 'text is required');
+    }
+
+    res.set('Content-Type', 'audio/mpeg');
+    res.send(createSilentMp3(speechMs(params.text) / 1000));
+  });
+
+  // Voice API
+
+  app.post('/v1/calls', requireJwt, (req, res) => {
+    const { to, from, ncco, answer_url: answerUrl } = req.body;
+    const toNumber = Array.isArray(to) ? to[0]?.number : null;
+    const fromNumber = from?.number;
+
+    if (!toNumber || (!fromNumber && !req.body.random_from_number)) {
+      return sendError(res, 400, 'Bad Request', 'to and from must be phone endpoints');
+    }
+    if (!Array.isArray(ncco) && !Array.isArray(answerUrl)) {
+      return sendError(res, 400, 'Bad Request', 'Either ncco or answer_url is required');
+    }
+
+    const call = createCall({
+      direction: 'outbound',
+      to: toNumber,
+      from: fromNumber || numbers.keys().next().value || '10000000000',
+      application: req.application,
+      eventUrl: req.body.event_url?.[0]
+    });
+
+    res.status(201).json({
+      uuid: call.uuid,
+      status: 'started',
+      direction: 'outbound',
+      conversation_uuid: call.conversationUuid
+    });
+
+    runOutboundCall(call, ncco, answerUrl?.[0]);
+  });
+
+  app.get('/v1/calls/:uuid', requireJwt, findCall, (req, res) => {
+    res.json(toCallDetails(req.call));
+  });
+
+  app.put('/v1/calls/:uuid', requireJwt, findCall, (req, res) => {
+    const call = req.call;
+    const { action, destination } = req.body;
+
+    if (call.ended) {
+      return sendError(res, 400, 'Bad Request', 'The call has already ended');
+    }
+
+    switch (action) {
+      case 'hangup':
+        endCall(call, 'completed');
+        break;
+      case 'mute':
+      case 'unmute':
+        call.muted = action === 'mute';
+        break;
+      case 'earmuff':
+      case 'unearmuff':
+        call.earmuffed = action === 'earmuff';
+        break;
+      case 'transfer':
+        if (!Array.isArray(destination?.ncco) && !destination?.url) {
+          return sendError(res, 400, 'Bad Request', 'destination needs an ncco or a url');
+        }
+        transferCall(call, destination);
+        break;
+      default:
+        return sendError(res, 400, 'Bad Request', `Unknown action: ${action}`);
+    }
+
+    res.status(204).end();
+  });
+
+  ['talk', 'stream'].forEach(media => {
+    app.put(`/v1/calls/:uuid/${media}`, requireJwt, findCall, (req, res) => {
+      res.json({ message: `${media === 'talk' ? 'Talk' : 'Stream'} started`, uuid: req.call.uuid });
+    });
+
+    app.delete(`/v1/calls/:uuid/${media}`, requireJwt, findCall, (req, res) => {
+      res.json({ message: `${media === 'talk' ? 'Talk' : 'Stream'} stopped`, uuid: req.call.uuid });
+    });
+  });
+
+  app.put('/v1/calls/:uuid/dtmf', requireJwt, findCall, (req, res) => {
+    if (!/^[0-9*#p]+$/.test(req.body.digits || '')) {
+      return sendError(res, 400, 'Bad Request', 'digits must be 0-9, *, # or p');
+    }
+    res.json({ message: 'DTMF sent', uuid: req.call.uuid });
+  });
+
+  // Recording downloads accept either the account credentials or an application JWT
+  app.get('/v1/files/:id', (req, res, next) => {
+    (req.get('Authorization') || '').startsWith('Basic') ? requireBasicAuth(req, res, next) : requireJwt(req, res, next);
+  }, (req, res) => {
+    const recording = recordings.get(req.params.id);
+    if (!recording) {
+      return sendError(res, 404, 'Not Found', 'Recording not found');
+    }
+
+    res.set('Content-Type', 'audio/mpeg');
+    res.send(createSilentMp3(recording.seconds));
+  });
+
+  // Emulator controls
+
+  // Simulate someone calling one of the account's numbers: { from, to, utterances }
+  app.post('/_emulator/calls', async (req, res) => {
+    try {
+      const call = await startInboundCall(req.body);
+      res.status(201).json(toCallDetails(call));
+    } catch (error) {
+      sendError(res, 400, 'Bad Request', error.message);
+    }
+  });
+
+  app.get('/_emulator/calls', (req, res) => {
+    res.json({ calls: Array.from(calls.values()).map(toCallDetails) });
+  });
+
+  /**
+   * Simulate an inbound call to one of the account's numbers
+   * @param {Object} inbound - Call details
+   * @param {string} inbound.to - Owned number being called; it must be linked to an application
+   * @param {string} [inbound.from] - Caller's number
+   * @param {Array<string>} [inbound.utterances] - What the caller says to input actions
+   * @returns {Promise<Object>} - Call
+   */
+  async function startInboundCall({ to, from, utterances }) {
+    const number = numbers.get(String(to || '').replace(/^\+/, ''));
+    if (!number) {
+      throw new Error(`${to} is not one of the account's numbers`);
+    }
+
+    const application = applications.get(number.app_id);
+    if (!application) {
+      throw new Error(`${to} is not linked to an application`);
+    }
+
+    const call = createCall({
+      direction: 'inbound',
+      to: number.msisdn,
+      from: String(from || '15550100100').replace(/^\+/, ''),
+      application,
+      utterances
+    });
+
+    runInboundCall(call);
+    return call;
+  }
+
+  function createCall({ direction, to, from, application, eventUrl, utterances }) {
+    const webhooks = application.capabilities?.voice?.webhooks || {};
+    const call = {
+      uuid: crypto.randomUUID(),
+      conversationUuid: `CON-${crypto.randomUUID()}`,
+      direction,
+      to,
+      from,
+      applicationId: application.id,
+      answerUrl: webhooks.answer_url?.address || null,
+      eventUrl: eventUrl || webhooks.event_url?.address || null,
+      status: 'started',
+      startTime: new Date().toISOString(),
+      answeredAt: null,
+      endTime: null,
+      duration: null,
+      ended: false,
+      muted: false,
+      earmuffed: false,
+      utterances: [...(utterances || config.utterances)],
+      nccoRun: 0,
+      activeRecordings: [],
+      timers: new Set(),
+      sockets: new Set()
+    };
+
+    calls.set(call.uuid, call);
+    return call;
+  }
+
+  async function runOutboundCall(call, ncco, answerUrl) {
+    await sendEvent(call, 'started');
+    await wait(call, RING_MS / 2);
+    // Hung up before it started ringing
+    if (call.ended) return;
+    await sendEvent(call, 'ringing');
+    await wait(call, RING_MS);
+    if (call.ended) return;
+
+    const outcome = CALL_OUTCOMES[call.to.slice(-3)];
+    if (outcome) {
+      return endCall(call, outcome);
+    }
+
+    // Calls started with an answer_url fetch their NCCO when answered
+    const script = ncco || await fetchNcco(call, answerUrl);
+    await answerCall(call, script);
+  }
+
+  async function runInboundCall(call) {
+    const ncco = await fetchNcco(call, call.answerUrl);
+    await sendEvent(call, 'started');
+    await sendEvent(call, 'ringing');
+    await answerCall(call, ncco);
+  }
+
+  async function answerCall(call, ncco) {
+    if (call.ended) return;
+
+    if (!Array.isArray(ncco)) {
+      console.warn(`[emulator] Call ${call.uuid} has no NCCO to run`);
+      return endCall(call, 'failed');
+    }
+
+    call.answeredAt = Date.now();
+    await sendEvent(call, 'answered');
+
+    // A transfer starts its own run of the NCCO, which then ends the call
+    const run = call.nccoRun;
+    await runNcco(call, ncco, run);
+    if (call.nccoRun === run) {
+      endCall(call, 'completed');
+    }
+  }
+
+  // Step through an NCCO; stops as soon as the call ends or is transferred to another NCCO
+  async function runNcco(call, ncco, run) {
+    let actions = ncco;
+
+    for (let index = 0; index < actions.length; index++) {
+      if (call.ended || call.nccoRun !== run) return;
+
+      const action = actions[index];
+      const next = await runAction(call, action);
+
+      // Input and notify webhooks may answer with an NCCO that replaces the rest of the call
+      if (Array.isArray(next) && call.nccoRun === run) {
+        actions = next;
+        index = -1;
+      }
+    }
+  }
+
+  async function runAction(call, action) {
+    switch (action.action) {
+      case 'talk':
+        await wait(call, speechMs(action.text) * Math.max(1, action.loop || 1));
+        return null;
+
+      case 'stream':
+        await wait(call, STREAM_MS * Math.max(1, action.loop || 1));
+        return null;
+
+      case 'record': {
+        const recording = startRecording(call, action);
+        if (action.endOnSilence || action.endOnKey || action.timeout) {
+          await wait(call, Math.min(RECORD_MS, (action.timeout || Infinity) * 1000));
+          await finishRecording(call, recording);
+        }
+        return null;
+      }
+
+      case 'input':
+        await wait(call, INPUT_MS);
+        if (call.ended) return null;
+        return sendWebhook('post', action.eventUrl?.[0] || call.eventUrl, buildInputResult(call, action), call.applicationId);
+
+      case 'notify':
+        return sendWebhook(action.eventMethod === 'GET' ? 'get' : 'post', action.eventUrl?.[0], action.payload, call.applicationId);
+
+      case 'connect': {
+        const endpoint = action.endpoint?.[0] || {};
+        if (endpoint.type === 'websocket') {
+          await streamToWebsocket(call, endpoint);
+        } else {
+          await wait(call, HOLD_MS);
+        }
+        return null;
+      }
+
+      case 'conversation':
+        await wait(call, HOLD_MS);
+        return null;
+
+      default:
+        console.warn(`[emulator] Skipping unsupported NCCO action: ${action.action}`);
+        return null;
+    }
+  }
+
+  function buildInputResult(call, action) {
+    const wantsSpeech = (action.type || []).includes('speech');
+    const utterance = wantsSpeech ? call.utterances.shift() : undefined;
+
+    const result = {
+      uuid: call.uuid,
+      conversation_uuid: call.conversationUuid,
+      timestamp: new Date().toISOString(),
+      dtmf: { digits: '', timed_out: true }
+    };
+
+    if (wantsSpeech) {
+      result.speech = utterance
+        ? { timeout_reason: 'end_on_silence_timeout', results: [{ confidence: '0.92', text: utterance }] }
+        : { timeout_reason: 'start_timeout' };
+    }
+
+    return result;
+  }
+
+  // Hold a websocket connection open for the call, streaming silence like a quiet caller
+  async function streamToWebsocket(call, endpoint) {
+    let socket;
+    try {
+      socket = new WebSocket(endpoint.uri);
+      await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+      });
+    } catch (error) {
+      console.warn(`[emulator] Could not connect call ${call.uuid} to ${endpoint.uri}:`, error.message);
+      return;
+    }
+
+    call.sockets.add(socket);
+    socket.on('error', () => {});
+    socket.send(JSON.stringify({
+      event: 'websocket:connected',
+      'content-type': endpoint['content-type'] || 'audio/l16;rate=16000',
+      ...endpoint.headers
+    }));
+
+    const silence = Buffer.alloc(MEDIA_FRAME_BYTES);
+    const frames = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(silence);
+    }, MEDIA_FRAME_MS);
+
+    await wait(call, HOLD_MS);
+    clearInterval(frames);
+    socket.close();
+    call.sockets.delete(socket);
+  }
+
+  function startRecording(call, action) {
+    const recording = {
+      id: crypto.randomUUID(),
+      eventUrl: action.eventUrl?.[0] || call.eventUrl,
+      startedAt: Date.now(),
+      finished: false
+    };
+    call.activeRecordings.push(recording);
+    return recording;
+  }
+
+  async function finishRecording(call, recording) {
+    if (recording.finished) return;
+    recording.finished = true;
+    call.activeRecordings = call.activeRecordings.filter(active => active !== recording);
+
+    const seconds = Math.max(1, Math.round(scaledSeconds(Date.now() - recording.startedAt)));
+    recordings.set(recording.id, { seconds });
+
+    await sendWebhook('post', recording.eventUrl, {
+      start_time: new Date(recording.startedAt).toISOString(),
+      recording_url: `${baseUrl}/v1/files/${recording.id}`,
+      size: createSilentMp3(seconds).length,
+      recording_uuid: recording.id,
+      end_time: new Date().toISOString(),
+      conversation_uuid: call.conversationUuid,
+      timestamp: new Date().toISOString()
+    }, call.applicationId);
+  }
+
+  function transferCall(call, destination) {
+    const run = ++call.nccoRun;
+
+    (async () => {
+      const ncco = destination.ncco || await fetchNcco(call, destination.url[0]);
+      if (!Array.isArray(ncco)) {
+        return endCall(call, 'failed');
+      }
+
+      await runNcco(call, ncco, run);
+      if (call.nccoRun === run) {
+        endCall(call, 'completed');
+      }
+    })();
+  }
+
+  function endCall(call, status) {
+    if (call.ended) return;
+    call.ended = true;
+    call.timers.forEach(timer => {
+      clearTimeout(timer.id);
+      timer.resolve();
+    });
+    call.sockets.forEach(socket => socket.close());
+
+    const now = Date.now();
+    call.endTime = new Date(now).toISOString();
+    call.duration = call.answeredAt ? Math.round(scaledSeconds(now - call.answeredAt)) : 0;
+
+    // Background recordings stop with the call; Vonage reports them after the call has completed
+    const pending = [...call.activeRecordings];
+    sendEvent(call, status, {
+      duration: String(call.duration),
+      start_time: call.startTime,
+      end_time: call.endTime,
+      rate: '0.01270000',
+      price: (call.duration / 60 * 0.0127).toFixed(8),
+      network: '23410'
+    }).then(() => Promise.all(pending.map(recording => finishRecording(call, recording))));
+  }
+
+  async function fetchNcco(call, answerUrl) {
+    if (!answerUrl) return null;
+    return sendWebhook('get', answerUrl, {
+      to: call.to,
+      from: call.from,
+      uuid: call.uuid,
+      conversation_uuid: call.conversationUuid
+    }, call.applicationId);
+  }
+
+  async function sendEvent(call, status, extra = {}) {
+    call.status = status;
+
+    await sendWebhook('post', call.eventUrl, {
+      from: call.from,
+      to: call.to,
+      uuid: call.uuid,
+      conversation_uuid: call.conversationUuid,
+      status,
+      direction: call.direction,
+      timestamp: new Date().toISOString(),
+      ...extra
+    }, call.applicationId);
+  }
+
+  // Send a webhook the way Vonage does, signed with the signature secret; returns the response body
+  async function sendWebhook(method, url, payload, applicationId) {
+    if (!url) return null;
+
+    const body = method === 'get' ? '' : JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.signatureSecret) {
+      headers.Authorization = `Bearer ${signWebhookToken(body, applicationId)}`;
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url,
+        headers,
+        params: method === 'get' ? payload : undefined,
+        data: method === 'get' ? undefined : body,
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      console.warn(`[emulator] Webhook ${method.toUpperCase()} ${url} failed:`, error.response?.status || error.message);
+      return null;
+    }
+  }
+
+  function signWebhookToken(body, applicationId) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iat: now,
+      exp: now + 300,
+      jti: crypto.randomUUID(),
+      iss: 'Vonage',
+      api_key: config.apiKey || 'emulator',
+      application_id: applicationId
+    };
+    if (body) {
+      claims.payload_hash = crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', config.signatureSecret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  // Pause a call's timeline; resolves early if the call ends
+  function wait(call, ms) {
+    if (call.ended) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = { resolve };
+      timer.id = setTimeout(() => {
+        call.timers.delete(timer);
+        resolve();
+      }, ms * config.timeScale);
+      call.timers.add(timer);
+    });
+  }
+
+  function scaledSeconds(realMs) {
+    return realMs / config.timeScale / 1000;
+  }
+
+  function toCallDetails(call) {
+    return {
+      uuid: call.uuid,
+      conversation_uuid: call.conversationUuid,
+      to: { type: 'phone', number: call.to },
+      from: { type: 'phone', number: call.from },
+      status: call.status,
+      direction: call.direction,
+      rate: '0.01270000',
+      price: call.duration !== null ? (call.duration / 60 * 0.0127).toFixed(8) : undefined,
+      duration: call.duration !== null ? String(call.duration) : undefined,
+      start_time: call.startTime,
+      end_time: call.endTime || undefined,
+      network: '23410'
+    };
+  }
+
+  function requireBasicAuth(req, res, next) {
+    const match = (req.get('Authorization') || '').match(/^Basic\s+(\S+)$/i);
+    const [apiKey, apiSecret] = match ? Buffer.from(match[1], 'base64').toString().split(':') : [];
+
+    if (!checkApiCredentials(apiKey, apiSecret)) {
+      return sendError(res, 401, 'Unauthorized', 'You did not provide correct credentials');
+    }
+    next();
+  }
+
+  function checkApiCredentials(apiKey, apiSecret) {
+    if (!apiKey || !apiSecret) return false;
+    if (!config.apiKey) return true;
+    return apiKey === config.apiKey && apiSecret === config.apiSecret;
+  }
+
+  // Check an application JWT (RS256) against the application's public key
+  function requireJwt(req, res, next) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return sendError(res, 401, 'Unauthorized', 'Missing bearer token');
+    }
+
+    try {
+      const [encodedHeader, encodedPayload, signature] = match[1].split('.');
+      const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+      const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+      const application = applications.get(claims.application_id);
+
+      if (header.alg !== 'RS256') throw new Error(`Unexpected algorithm ${header.alg}`);
+      if (!application) throw new Error(`Unknown application ${claims.application_id}`);
+
+      const valid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        application.keys.public_key,
+        Buffer.from(signature || '', 'base64url')
+      );
+      if (!valid) throw new Error('Invalid signature');
+
+      const now = Math.floor(Date.now() / 1000);
+      if (typeof claims.iat !== 'number' || claims.iat > now + 60) throw new Error('Invalid iat');
+      if (typeof claims.exp === 'number' && claims.exp < now) throw new Error('Token has expired');
+
+      req.application = application;
+      next();
+    } catch (error) {
+      sendError(res, 401, 'Unauthorized', `Invalid token: ${error.message}`);
+    }
+  }
+
+  function findApplication(req, res, next) {
+    req.application = applications.get(req.params.id);
+    if (!req.application) {
+      return sendError(res, 404, 'Not Found', `Application ${req.params.id} does not exist`);
+    }
+    next();
+  }
+
+  // Applications can only reach their own calls
+  function findCall(req, res, next) {
+    req.call = calls.get(req.params.uuid);
+    if (!req.call || req.call.applicationId !== req.application.id) {
+      return sendError(res, 404, 'Not Found', `Call ${req.params.uuid} does not exist`);
+    }
+    next();
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port, or 0 for any free port
+   * @param {string} [host] - Interface to listen on
+   * @returns {Promise<string>} - Base URL of the emulator
+   */
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, host, () => {
+        baseUrl = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+        resolve(baseUrl);
+      });
+      server.once('error', reject);
+    });
+  }
+
+  /**
+   * Hang up every call and stop listening
+   * @returns {Promise<void>}
+   */
+  function close() {
+    calls.forEach(call => endCall(call, 'completed'));
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    app,
+    listen,
+    close,
+    startInboundCall,
+    getCall: (uuid) => (calls.has(uuid) ? toCallDetails(calls.get(uuid)) : null)
+  };
+}
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+// Rough speaking time for text at about 150 words a minute
+function speechMs(text) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1000, words * TALK_MS_PER_WORD);
+}
+
+function createSilentMp3(seconds) {
+  const frameCount = Math.max(1, Math.round(seconds / MP3_FRAME_SECONDS));
+  const frame = Buffer.alloc(MP3_FRAME_BYTES);
+  MP3_FRAME_HEADER.copy(frame);
+  return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+}
+
+function countryForNumber(msisdn) {
+  const match = Object.entries(COUNTRY_PREFIXES)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .find(([, prefix]) => msisdn.startsWith(prefix));
+  return match ? match[0] : 'US';
+}
+
+function randomDigits(count) {
+  return Array.from({ length: count }, () => crypto.randomInt(10)).join('');
+}
+
+function sendError(res, status, title, detail) {
+  res.status(status).json({
+    type: `https://developer.nexmo.com/api-errors#${title.toLowerCase().replace(/\s+/g, '-')}`,
+    title,
+    detail,
+    instance: crypto.randomUUID()
+  });
+}
+
+// The numbers API reports results in the body as well as the status code
+function sendNumbersResult(res, code, label) {
+  res.status(code === 200 ? 200 : 420).json({
+    'error-code': String(code),
+    'error-code-label': label
+  });
+}
+
+module.exports = {
+  createVonageEmulator
+};
@@ -1,9 +1,12 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const { WebSocketServer } = require('ws');
 // Load environment variables from .env file
 require('dotenv').config();
 const apiRoutes = require('./routes/api');
+const phoneAgentService = require('./services/phoneAgentService');
+const { verifyMediaSocketRequest } = require('./middleware/vonageSignature');
 
 // Initialize express app
 const app = express();
@@ -11,8 +14,12 @@ const PORT = process.env.PORT || 8000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body so signed Vonage webhooks can be checked against their payload hash
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Serve static files from the Vue app build
 app.use(express.static(path.join(__dirname, '../dist')));
@@ -36,8 +43,20 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
 });
 
+// WebSocket endpoint that Vonage streams phone call audio to (see the answer NCCO)
+// Only connections carrying the signed token from that NCCO are accepted; its claims go on req.mediaToken
+const mediaSocketServer = new WebSocketServer({
+  server,
+  path: '/api/vonage/media',
+  verifyClient: ({ req }) => {
+    req.mediaToken = verifyMediaSocketRequest(req);
+    return Boolean(req.mediaToken);
+  }
+});
+mediaSocketServer.on('connection', phoneAgentService.handleMediaSocket);
+
 module.exports = app;
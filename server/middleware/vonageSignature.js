@@ -0,0 +1,213 @@
+/**
+ * Vonage request verification
+ * Vonage signs webhook requests with a JWT (HS256, keyed with the account's signature secret)
+ * in the Authorization header; the token carries a hash of the request body.
+ * The media WebSocket only accepts connections carrying a token this server signed
+ * and put in the websocket URI of the call's NCCO
+ */
+
+const crypto = require('crypto');
+
+// Tokens issued longer ago than this are treated as replays
+const MAX_TOKEN_AGE_SECONDS = 5 * 60;
+
+// Allowance for clock differences between Vonage and this server
+const CLOCK_SKEW_SECONDS = 60;
+
+// Media socket URLs handed to Vonage in an NCCO stay valid this long
+const MEDIA_TOKEN_TTL_SECONDS = 60 * 60;
+
+// Key for media socket tokens; without VONAGE_MEDIA_SECRET a per-process key only suits a single server
+const mediaSecret = process.env.VONAGE_MEDIA_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Express middleware that rejects webhook requests without a valid Vonage signature
+ * Requires the raw request body on req.rawBody (see the body parsers in server/index.js)
+ */
+function verifyVonageSignature(req, res, next) {
+  // Escape hatch for local development without a signature secret
+  if (process.env.VONAGE_VERIFY_WEBHOOKS === 'false') {
+    return next();
+  }
+
+  const secret = process.env.VONAGE_SIGNATURE_SECRET;
+  if (!secret) {
+    console.error('VONAGE_SIGNATURE_SECRET is not set; rejecting webhook', req.originalUrl);
+    return rejectWebhook(res, 'Webhook signature verification is not configured');
+  }
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return rejectWebhook(res, 'Webhook is not signed');
+  }
+
+  try {
+    const claims = verifyToken(match[1], secret);
+    verifyPayloadHash(claims, req.rawBody);
+    req.vonageClaims = claims;
+    next();
+  } catch (error) {
+    console.warn(`Rejected Vonage webhook ${req.originalUrl}:`, error.message);
+    rejectWebhook(res, error.message);
+  }
+}
+
+/**
+ * Check whether a recording URL points at a trusted Vonage host
+ * Recording downloads are authenticated with our API credentials, so they must never go elsewhere
+ * @param {string} recordingUrl - URL from the recording webhook
+ * @returns {boolean} - Whether the URL may be downloaded
+ */
+function isAllowedRecordingUrl(recordingUrl) {
+  let url;
+  try {
+    url = new URL(recordingUrl);
+  } catch (error) {
+    return false;
+  }
+
+  // A configured API base URL (e.g. the local emulator) serves its own recordings
+  if (process.env.VONAGE_API_BASE_URL && url.origin === new URL(process.env.VONAGE_API_BASE_URL).origin) {
+    return true;
+  }
+
+  if (url.protocol !== 'https:') {
+    return false;
+  }
+
+  // Entries starting with a dot match any subdomain
+  const allowedHosts = (process.env.VONAGE_RECORDING_HOSTS || '.nexmo.com,.vonage.com')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  const hostname = url.hostname.toLowerCase();
+  return allowedHosts.some(host => host.startsWith('.') ? hostname.endsWith(host) : hostname === host);
+}
+
+/**
+ * Create the token that lets Vonage open the media WebSocket for a call
+ * The token goes in the websocket URI of the NCCO, so only a call we answered can stream audio to the agent
+ * @param {string} [callUuid] - Call the token is issued for
+ * @returns {string} - Signed token
+ */
+function createMediaToken(callUuid) {
+  const payload = Buffer.from(JSON.stringify({
+    callUuid: callUuid || '',
+    exp: Math.floor(Date.now() / 1000) + MEDIA_TOKEN_TTL_SECONDS
+  })).toString('base64url');
+  return `${payload}.${signMediaPayload(payload)}`;
+}
+
+/**
+ * Check the token on a media WebSocket upgrade request
+ * The token is only good for the call it was issued for: the socket must report that call when it connects
+ * @param {http.IncomingMessage} req - Upgrade request; the token is in its ?token= query parameter
+ * @returns {{callUuid: string, exp: number}|null} - The token's claims, or null if the connection must be refused
+ */
+function verifyMediaSocketRequest(req) {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token') || '';
+  const [payload, signature] = token.split('.');
+
+  const expected = Buffer.from(signMediaPayload(payload || ''), 'base64url');
+  const actual = Buffer.from(signature || '', 'base64url');
+  if (!payload || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    console.warn('Rejected media socket connection: invalid token');
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    console.warn('Rejected media socket connection: malformed token');
+    return null;
+  }
+  if (typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000) - CLOCK_SKEW_SECONDS) {
+    console.warn(`Rejected media socket connection for call ${claims.callUuid}: token has expired`);
+    return null;
+  }
+  return { callUuid: String(claims.callUuid || ''), exp: claims.exp };
+}
+
+function signMediaPayload(payload) {
+  return crypto.createHmac('sha256', mediaSecret).update(payload).digest('base64url');
+}
+
+// Verify an HS256 JWT and its timing claims, returning its claims
+function verifyToken(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed webhook token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw new Error('Malformed webhook token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unexpected webhook token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.iat !== 'number') {
+    throw new Error('Webhook token has no issue time');
+  }
+  if (claims.iat > now + CLOCK_SKEW_SECONDS) {
+    throw new Error('Webhook token is issued in the future');
+  }
+  if (now - claims.iat > MAX_TOKEN_AGE_SECONDS) {
+    throw new Error('Webhook token is stale');
+  }
+  if (typeof claims.exp === 'number' && claims.exp < now - CLOCK_SKEW_SECONDS) {
+    throw new Error('Webhook token has expired');
+  }
+
+  return claims;
+}
+
+// The token's payload_hash must match the SHA-256 of the body we actually received
+function verifyPayloadHash(claims, rawBody) {
+  const body = rawBody || Buffer.alloc(0);
+
+  if (!claims.payload_hash) {
+    if (body.length > 0) {
+      throw new Error('Webhook token does not cover the request body');
+    }
+    return;
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  if (bodyHash !== String(claims.payload_hash).toLowerCase()) {
+    throw new Error('Webhook body does not match its signature');
+  }
+}
+
+function rejectWebhook(res, message) {
+  res.status(401).json({
+    success: false,
+    message
+  });
+}
+
+module.exports = {
+  verifyVonageSignature,
+  isAllowedRecordingUrl,
+  createMediaToken,
+  verifyMediaSocketRequest
+};
@@ -3,22 +3,40 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const multer = require('multer');
 const openaiService = require('../services/openaiService');
+const conversationService = require('../services/conversationService');
+const toolRegistry = require('../services/toolRegistry');
+const knowledgeBase = require('../services/knowledgeBase');
+const sttService = require('../services/sttService');
+const ttsService = require('../services/ttsService');
+const audioStore = require('../services/audioStore');
+const callStateService = require('../services/callStateService');
+const recordingService = require('../services/recordingService');
+const recordingAnalysisService = require('../services/recordingAnalysisService');
+const credentialVault = require('../services/credentialVault');
+const callFlowService = require('../services/callFlowService');
+const phoneAgentService = require('../services/phoneAgentService');
+const campaignService = require('../services/campaignService');
+const { verifyVonageSignature, isAllowedRecordingUrl } = require('../middleware/vonageSignature');
+const { createSpeechPipeline } = require('../services/speechPipeline');
 
-// Use the REST API implementation of Vonage service
-// This avoids SDK compatibility issues by making direct HTTP calls
-const vonageService = require('../services/vonageServiceREST');
-console.log('Using Vonage REST API service');
+// Vonage client; VONAGE_BACKEND chooses the REST or SDK implementation
+const vonageService = require('../services/vonageService');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), audioStore: audioStore.getStats() });
 });
 
+// Replies still being generated or spoken, keyed by stream ID, so DELETE /chat/:streamId can stop them
+// Each keeps the session it belongs to; only that session may cancel it
+const activeReplies = new Map();
+
 // Chat endpoint with streaming response for lower latency
 router.post('/chat', async (req, res) => {
   try {
-    const { message, systemPrompt, voiceSettings } = req.body;
+    const { message, systemPrompt, voiceSettings, sessionId } = req.body;
     
     if (!message) {
       return res.status(400).json({
@@ -27,178 +45,96 @@ router.post('/chat', async (req, res) => {
       });
     }
     
-    // Start streaming response for lower latency
-    const streamingResponse = await openaiService.getStreamingAIResponse(message, systemPrompt);
+    // Resume the conversation session, or start a new one on the first call
+    const session = conversationService.getOrCreateSession(sessionId);
+    const history = conversationService.getHistory(session.id);
     
-    // We'll generate audio for initial chunk immediately to start speaking right away
-    let initialAudioData;
-    let initialAudioPath = null;
+    // Speak each sentence as soon as it has been generated
+    const generation = new AbortController();
+    const audioSequence = [];
+    const audioProviders = [];
+    const speech = createSpeechPipeline(
+      (sentence) => createAudioClip(sentence, voiceSettings, generation.signal),
+      ({ audio }) => {
+        audioSequence.push(audio.audioUrl);
+        audioProviders.push(audio.provider);
+      }
+    );
     
-    if (streamingResponse.partialText && streamingResponse.partialText.length > 10) {
-      try {
-        // Generate audio for the initial chunk
-        const timestamp = Date.now();
-        const initialAudioFileName = `audio_initial_${timestamp}.mp3`;
-        
-        try {
-          // First try Vonage TTS for initial chunk
-          initialAudioData = await vonageService.textToSpeech(
-            streamingResponse.partialText,
-            voiceSettings?.voiceType || 'female',
-            voiceSettings?.language || 'en-US'
-          );
-        } catch (vonageError) {
-          console.warn('Vonage TTS failed for initial chunk, using OpenAI TTS:', vonageError.message);
-          
-          // Fallback to OpenAI TTS
-          initialAudioData = await openaiService.textToSpeech(
-            streamingResponse.partialText,
-            voiceSettings?.voiceType || 'female'
-          );
-        }
-        
-        initialAudioPath = `/api/audio/${initialAudioFileName}`;
-        
-        // Store the audio data in memory for retrieval
-        if (!req.app.locals.audioCache) {
-          req.app.locals.audioCache = {};
+    // Tool calls the reply made, in the order they finished
+    const toolCalls = [];
+    
+    // Company documents relevant to the message, which the reply can cite
+    const sources = await knowledgeBase.retrieve(message);
+    
+    // Start streaming response for lower latency
+    const streamingResponse = await openaiService.getStreamingAIResponse(message, systemPrompt, history, {
+      onDelta: (text) => speech.push(text),
+      signal: generation.signal,
+      knowledge: sources,
+      toolContext: { sessionId: session.id },
+      onToolCall: (toolCall) => {
+        if (toolCall.status !== 'running') {
+          toolCalls.push(toolCall);
         }
-        req.app.locals.audioCache[initialAudioFileName] = initialAudioData;
-        
-        console.log('Generated initial audio for first chunk');
-      } catch (audioError) {
-        console.error('Failed to generate initial audio:', audioError);
       }
-    }
+    });
+    conversationService.addTurn(session.id, 'user', message);
+    activeReplies.set(streamingResponse.streamId, { generation, sessionId: session.id });
     
-    // Return the initial streaming response immediately with initial audio if available
+    // Return the initial streaming response immediately
     res.json({
       success: true,
-      text: streamingResponse.partialText,
+      text: '',
       isPartial: true,
       streamId: streamingResponse.streamId,
-      audioUrl: initialAudioPath
+      sessionId: session.id,
+      sources: knowledgeBase.toCitations(sources)
     });
     
     // Continue processing in the background to generate full response and audio
     openaiService.processFinalResponse(streamingResponse.streamId, streamingResponse.completeTextPromise)
       .then(async (finalText) => {
-        console.log('Final AI response ready:', finalText.substring(0, 50) + '...');
-        
-        // Skip regenerating audio for the entire response if it's very similar to the initial chunk
-        // This prevents weird audio stuttering when responses are very short
-        if (initialAudioPath && 
-            streamingResponse.partialText && 
-            finalText.length < streamingResponse.partialText.length * 1.5) {
-          
-          console.log('Using initial audio chunk as final audio (response similar to initial chunk)');
-          
-          // Store the full response to be fetched by client polling
-          if (!req.app.locals.responseCache) {
-            req.app.locals.responseCache = {};
-          }
-          req.app.locals.responseCache[streamingResponse.streamId] = {
-            text: finalText,
-            audioUrl: initialAudioPath,
-            timestamp: Date.now()
-          };
-          
-          // Cleanup old cache entries occasionally
-          cleanupOldCacheEntries(req.app.locals);
+        if (generation.signal.aborted) {
           return;
         }
+        console.log('Final AI response ready:', finalText.substring(0, 50) + '...');
         
-        // For longer responses, generate audio for the complete text
-        // We'll strip out the initial text that was already spoken to avoid repetition
-        let audioText = finalText;
-        if (initialAudioPath && streamingResponse.partialText) {
-          // Only generate audio for the remainder of the text to avoid repetition
-          const initialLength = streamingResponse.partialText.length;
-          if (initialLength > 0 && finalText.startsWith(streamingResponse.partialText)) {
-            audioText = finalText.substring(initialLength);
-            console.log('Generating audio only for the remainder of the response');
-          }
-        }
-        
-        // If there's no additional text to speak, just use the initial audio
-        if (!audioText || audioText.trim().length === 0) {
-          if (initialAudioPath) {
-            console.log('No additional text to speak, using initial audio only');
-            
-            // Store the full response to be fetched by client polling
-            if (!req.app.locals.responseCache) {
-              req.app.locals.responseCache = {};
-            }
-            req.app.locals.responseCache[streamingResponse.streamId] = {
-              text: finalText,
-              audioUrl: initialAudioPath,
-              timestamp: Date.now()
-            };
-            
-            // Cleanup old cache entries occasionally
-            cleanupOldCacheEntries(req.app.locals);
-            return;
-          }
-        }
-        
-        // Generate audio for the remaining response text
-        let audioData;
-        try {
-          // First try Vonage TTS
-          audioData = await vonageService.textToSpeech(
-            audioText, 
-            voiceSettings?.voiceType || 'female',
-            voiceSettings?.language || 'en-US'
-          );
-        } catch (vonageError) {
-          console.warn('Vonage TTS failed, falling back to OpenAI TTS:', vonageError.message);
-          
-          // Fallback to OpenAI TTS
-          audioData = await openaiService.textToSpeech(
-            audioText, 
-            voiceSettings?.voiceType || 'female'
-          );
-        }
-        
-        // Create a temporary audio file path for frontend access
-        const timestamp = Date.now();
-        const audioFileName = `audio_${timestamp}.mp3`;
-        const audioPath = `/api/audio/${audioFileName}`;
+        // Remember the reply so the next turn has the full context
+        conversationService.addTurn(session.id, 'assistant', finalText);
         
-        // Store the audio data in memory for retrieval
-        if (!req.app.locals.audioCache) {
-          req.app.locals.audioCache = {};
+        await speech.finish(finalText);
+        if (generation.signal.aborted) {
+          return;
         }
-        req.app.locals.audioCache[audioFileName] = audioData;
         
         // Store the full response to be fetched by client polling
         if (!req.app.locals.responseCache) {
           req.app.locals.responseCache = {};
         }
-        
-        // If we have initial audio and continuation audio, we need to indicate this
-        // so client can play them in sequence
-        if (initialAudioPath) {
-          req.app.locals.responseCache[streamingResponse.streamId] = {
-            text: finalText,
-            audioUrl: audioPath,
-            initialAudioUrl: initialAudioPath,
-            hasMultipartAudio: true,
-            timestamp: Date.now()
-          };
-        } else {
-          req.app.locals.responseCache[streamingResponse.streamId] = {
-            text: finalText,
-            audioUrl: audioPath,
-            timestamp: Date.now()
-          };
-        }
+        req.app.locals.responseCache[streamingResponse.streamId] = {
+          text: finalText,
+          audioSequence,
+          audioProviders,
+          toolCalls,
+          timestamp: Date.now()
+        };
         
         // Cleanup old cache entries occasionally
         cleanupOldCacheEntries(req.app.locals);
-        
       }).catch(error => {
         console.error('Background processing error:', error);
+        
+        // Let the client polling for the reply know it failed; nothing is added to the history
+        if (!generation.signal.aborted) {
+          req.app.locals.responseCache = req.app.locals.responseCache || {};
+          req.app.locals.responseCache[streamingResponse.streamId] = {
+            error: error.message,
+            timestamp: Date.now()
+          };
+        }
+      }).finally(() => {
+        activeReplies.delete(streamingResponse.streamId);
       });
       
   } catch (error) {
@@ -211,6 +147,300 @@ router.post('/chat', async (req, res) => {
   }
 });
 
+// Chat endpoint that streams the response as Server-Sent Events
+// Events: sources (knowledge base excerpts the reply can cite as [1], [2], ...), start (session and stream IDs),
+// delta (text tokens), tool (a tool call starting, then done or failed with its result),
+// audio (one per sentence, in order, with its TTS provider), done (final text),
+// or cancelled instead of done when DELETE /chat/:streamId stopped the reply
+// interruptedReply is the part of the previous reply the user heard before speaking over it (barge-in)
+// Closing the connection before done also stops generation, and the reply is left out of the history
+router.post('/chat/stream', async (req, res) => {
+  const { message, systemPrompt, voiceSettings, sessionId, interruptedReply } = req.body;
+  
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message is required'
+    });
+  }
+  
+  const sendEvent = openEventStream(res);
+  
+  const generation = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      generation.abort();
+    }
+  });
+  let streamId = null;
+  
+  try {
+    // Resume the conversation session, or start a new one on the first call
+    const session = conversationService.getOrCreateSession(sessionId);
+    if (typeof interruptedReply === 'string') {
+      conversationService.truncateLastReply(session.id, interruptedReply.trim());
+    }
+    const history = conversationService.getHistory(session.id);
+    
+    // Speak each sentence as soon as it has been generated
+    const speech = createSpeechPipeline(
+      (sentence) => createAudioClip(sentence, voiceSettings, generation.signal),
+      ({ index, audio, text }) => sendEvent('audio', { index, audioUrl: audio.audioUrl, provider: audio.provider, text })
+    );
+    
+    // Company documents relevant to the message, which the reply can cite
+    const sources = await knowledgeBase.retrieve(message);
+    if (sources.length > 0) {
+      sendEvent('sources', { sources: knowledgeBase.toCitations(sources) });
+    }
+    
+    const streamingResponse = await openaiService.getStreamingAIResponse(message, systemPrompt, history, {
+      onDelta: (text) => {
+        sendEvent('delta', { text });
+        speech.push(text);
+      },
+      signal: generation.signal,
+      knowledge: sources,
+      toolContext: { sessionId: session.id },
+      onToolCall: (toolCall) => sendEvent('tool', toolCall)
+    });
+    conversationService.addTurn(session.id, 'user', message);
+    streamId = streamingResponse.streamId;
+    activeReplies.set(streamId, { generation, sessionId: session.id });
+    
+    sendEvent('start', {
+      sessionId: session.id,
+      streamId
+    });
+    
+    const finalText = await openaiService.processFinalResponse(
+      streamingResponse.streamId,
+      streamingResponse.completeTextPromise
+    );
+    
+    // The reply was cancelled or the user interrupted it; the client reports what was heard with its next message
+    if (generation.signal.aborted) {
+      sendEvent('cancelled', { text: finalText });
+      return res.end();
+    }
+    conversationService.addTurn(session.id, 'assistant', finalText);
+    
+    await speech.finish(finalText);
+    
+    if (generation.signal.aborted) {
+      sendEvent('cancelled', { text: finalText });
+    } else {
+      sendEvent('done', {
+        text: finalText
+      });
+    }
+  } catch (error) {
+    if (!generation.signal.aborted) {
+      console.error('Error in chat stream endpoint:', error);
+      sendEvent('error', {
+        message: 'Failed to get AI response',
+        error: error.message
+      });
+    }
+  } finally {
+    if (streamId) {
+      activeReplies.delete(streamId);
+    }
+  }
+  
+  res.end();
+});
+
+// Switch a response to Server-Sent Events
+// Returns a function that sends one event, and does nothing once the client has gone away
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+  
+  return (event, data) => {
+    if (clientClosed || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Generate speech for a piece of text and keep it in the audio store
+// Returns the URL the client can fetch the audio from and the TTS provider that produced it,
+// or null when there is nothing to say once citation markers are left out
+async function createAudioClip(text, voiceSettings, signal) {
+  const spokenText = knowledgeBase.removeCitationMarkers(text).trim();
+  if (!spokenText) {
+    return null;
+  }
+  
+  const { audio, provider } = await ttsService.synthesize(spokenText, {
+    voiceType: voiceSettings?.voiceType,
+    language: voiceSettings?.language,
+    signal
+  });
+  
+  const audioFileName = audioStore.save(audio);
+  
+  return {
+    audioUrl: `/api/audio/${audioFileName}`,
+    provider
+  };
+}
+
+// Cancel a reply that is still being generated or spoken: stops the OpenAI stream and any TTS requests
+// The caller passes its session ID (?sessionId=) to show the reply is its own
+router.delete('/chat/:streamId', (req, res) => {
+  const { streamId } = req.params;
+  const { sessionId } = req.query;
+  
+  const reply = activeReplies.get(streamId);
+  if (reply && reply.sessionId !== sessionId) {
+    return res.status(403).json({
+      success: false,
+      message: 'The reply belongs to another session'
+    });
+  }
+  
+  if (reply) {
+    reply.generation.abort();
+    activeReplies.delete(streamId);
+    console.log(`Cancelled reply ${streamId}`);
+  }
+  
+  res.json({
+    success: true,
+    cancelled: Boolean(reply)
+  });
+});
+
+// End a conversation session and forget its history
+router.delete('/chat/session/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  const deleted = conversationService.deleteSession(sessionId);
+  
+  res.json({
+    success: true,
+    deleted
+  });
+});
+
+// List the tools the agent can call (some are only offered on phone calls)
+router.get('/tools', (req, res) => {
+  res.json({
+    success: true,
+    tools: toolRegistry.listTools()
+  });
+});
+
+// Company documents are small; PDFs with images can still run to a few megabytes
+const MAX_DOCUMENT_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_UPLOAD_BYTES }
+});
+
+// List the documents in the knowledge base
+router.get('/knowledge', (req, res) => {
+  res.json({
+    success: true,
+    documents: knowledgeBase.listDocuments()
+  });
+});
+
+// Add a document to the knowledge base
+// Accepts a multipart upload with a "file" field (.txt, .md or .pdf) or a JSON body with name and text
+router.post('/knowledge', documentUpload.single('file'), async (req, res) => {
+  try {
+    const upload = req.file
+      ? { name: req.file.originalname, buffer: req.file.buffer, mimeType: req.file.mimetype }
+      : { name: req.body.name, buffer: Buffer.from(req.body.text || '', 'utf8'), mimeType: 'text/plain' };
+    
+    if (!upload.name || upload.buffer.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameters: file (or name and text)'
+      });
+    }
+    
+    if (!knowledgeBase.getDocumentType(upload.name, upload.mimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported document type: upload a .txt, .md or .pdf file'
+      });
+    }
+    
+    const document = await knowledgeBase.addDocument(upload);
+    
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    console.error('Error adding knowledge base document:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add document',
+      error: error.message
+    });
+  }
+});
+
+// Remove a document from the knowledge base
+router.delete('/knowledge/:id', (req, res) => {
+  const deleted = knowledgeBase.deleteDocument(req.params.id);
+  
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    deleted
+  });
+});
+
+// Search the knowledge base the way a user turn does, to check what the agent would be given
+// Body: { query, topK }
+router.post('/knowledge/search', async (req, res) => {
+  try {
+    const { query, topK } = req.body;
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query is required'
+      });
+    }
+    
+    const results = await knowledgeBase.search(query, topK ? { topK: Number(topK) } : {});
+    
+    res.json({
+      success: true,
+      results
+    });
+  } catch (error) {
+    console.error('Error searching knowledge base:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search knowledge base',
+      error: error.message
+    });
+  }
+});
+
 // Endpoint to check for completed responses
 router.get('/response/:streamId', (req, res) => {
   const { streamId } = req.params;
@@ -222,30 +452,29 @@ router.get('/response/:streamId', (req, res) => {
     });
   }
   
-  // Return the completed response with audio URL
+  // Return the completed response with its ordered audio clips
   const completeResponse = req.app.locals.responseCache[streamId];
   
   // Remove from cache to save memory
   delete req.app.locals.responseCache[streamId];
   
-  // Check if this is a multipart audio response
-  if (completeResponse.hasMultipartAudio) {
-    return res.json({
-      success: true,
-      complete: true,
-      text: completeResponse.text,
-      audioUrl: completeResponse.audioUrl,
-      initialAudioUrl: completeResponse.initialAudioUrl,
-      hasMultipartAudio: true
-    });
-  } else {
+  if (completeResponse.error) {
     return res.json({
-      success: true,
+      success: false,
       complete: true,
-      text: completeResponse.text,
-      audioUrl: completeResponse.audioUrl
+      message: 'Failed to get AI response',
+      error: completeResponse.error
     });
   }
+  
+  return res.json({
+    success: true,
+    complete: true,
+    text: completeResponse.text,
+    audioSequence: completeResponse.audioSequence,
+    audioProviders: completeResponse.audioProviders,
+    toolCalls: completeResponse.toolCalls
+  });
 });
 
 // Helper function to clean up old cache entries
@@ -260,16 +489,6 @@ function cleanupOldCacheEntries(appLocals) {
       }
     });
   }
-  
-  // Also clean up audio cache occasionally
-  if (appLocals.audioCache && Object.keys(appLocals.audioCache).length > 100) {
-    // If we have too many cached audio files, remove the oldest ones
-    const audioFiles = Object.keys(appLocals.audioCache);
-    // Keep only the 50 most recent files
-    audioFiles.slice(0, audioFiles.length - 50).forEach(file => {
-      delete appLocals.audioCache[file];
-    });
-  }
 }
 
 // Text-to-Speech endpoint
@@ -284,21 +503,11 @@ router.post('/tts', async (req, res) => {
       });
     }
     
-    // First try Vonage TTS
-    try {
-      const audioBuffer = await vonageService.textToSpeech(text, voiceType, language);
-      
-      res.set('Content-Type', 'audio/mp3');
-      return res.send(audioBuffer);
-    } catch (vonageError) {
-      console.error('Vonage TTS failed, falling back to OpenAI TTS:', vonageError);
-      
-      // Fallback to OpenAI TTS
-      const audioBuffer = await openaiService.textToSpeech(text, voiceType);
-      
-      res.set('Content-Type', 'audio/mp3');
-      return res.send(audioBuffer);
-    }
+    const { audio, provider } = await ttsService.synthesize(text, { voiceType, language });
+    
+    res.set('Content-Type', 'audio/mp3');
+    res.set('X-TTS-Provider', provider);
+    return res.send(audio);
   } catch (error) {
     console.error('Error in TTS endpoint:', error);
     res.status(500).json({
@@ -309,12 +518,20 @@ router.post('/tts', async (req, res) => {
   }
 });
 
-// Serve audio files from the in-memory cache
+// TTS providers in priority order, with the state of their circuit breakers
+router.get('/tts/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: ttsService.getProviderStatus()
+  });
+});
+
+// Serve audio files from the audio store (held in memory or spilled to disk)
 router.get('/audio/:filename', (req, res) => {
   const { filename } = req.params;
   
-  // Check if the audio file exists in the cache
-  if (!req.app.locals.audioCache || !req.app.locals.audioCache[filename]) {
+  const clip = audioStore.get(filename);
+  if (!clip) {
     return res.status(404).json({
       success: false,
       message: 'Audio file not found'
@@ -322,31 +539,76 @@ router.get('/audio/:filename', (req, res) => {
   }
   
   // Set appropriate headers
-  res.set('Content-Type', 'audio/mp3');
+  res.set('Content-Type', clip.contentType);
   res.set('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
   
-  // Send the audio data
-  res.send(req.app.locals.audioCache[filename]);
+  if (clip.buffer) {
+    return res.send(clip.buffer);
+  }
+  
+  res.sendFile(clip.filePath, (error) => {
+    // The clip may have been evicted between the lookup and the read
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'Audio file not found'
+      });
+    }
+  });
+});
+
+// Whisper accepts uploads of up to 25 MB
+const MAX_AUDIO_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+// Multipart uploads are kept in memory and passed straight to the STT provider
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_UPLOAD_BYTES }
 });
 
 // Speech-to-Text endpoint (for non-Web Speech API compatible browsers)
-router.post('/stt', async (req, res) => {
-  try {
-    // This would typically be a file upload, but we're keeping it simple
-    // by using the Web Speech API on the frontend
-    res.status(501).json({
-      success: false,
-      message: 'Speech-to-text via API not implemented. Please use the browser\'s Web Speech API.'
-    });
-  } catch (error) {
-    console.error('Error in STT endpoint:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to convert speech to text',
-      error: error.message
-    });
+// Accepts either a multipart upload with an "audio" file field or a raw audio/* request body
+router.post(
+  '/stt',
+  audioUpload.single('audio'),
+  express.raw({ type: 'audio/*', limit: MAX_AUDIO_UPLOAD_BYTES }),
+  async (req, res) => {
+    try {
+      const audioBuffer = req.file ? req.file.buffer : (Buffer.isBuffer(req.body) ? req.body : null);
+      const mimeType = req.file ? req.file.mimetype : req.get('Content-Type');
+      const language = (req.file && req.body.language) || req.query.language;
+      
+      if (!audioBuffer || audioBuffer.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Audio is required'
+        });
+      }
+      
+      if (!sttService.isSupportedFormat(mimeType)) {
+        return res.status(415).json({
+          success: false,
+          message: `Unsupported audio format: ${mimeType}. Use webm, ogg or wav.`
+        });
+      }
+      
+      const transcription = await sttService.transcribe(audioBuffer, { mimeType, language });
+      
+      res.json({
+        success: true,
+        text: transcription.text,
+        provider: transcription.provider
+      });
+    } catch (error) {
+      console.error('Error in STT endpoint:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to convert speech to text',
+        error: error.message
+      });
+    }
   }
-});
+);
 
 // Vonage Voice API endpoints
 
@@ -364,16 +626,20 @@ router.post('/vonage/applications', async (req, res) => {
     
     console.log('Creating real Vonage application:', name);
     
-    // Base URL for webhooks (based on request or environment variable)
-    const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
-    
     // Create webhook URLs
-    const answerUrl = `${baseUrl}/api/vonage/answer`;
-    const eventUrl = `${baseUrl}/api/vonage/event`;
+    const { answerUrl, eventUrl } = getWebhookUrls(req);
     
     // Create the application
     const application = await vonageService.createVoiceApplication(name, answerUrl, eventUrl);
     
+    // The ID is only known now, so add it to the answer URL in a second step
+    try {
+      const updated = await vonageService.updateApplication(application.id, getWebhookUrls(req, application.id));
+      application.capabilities.voice.webhooks.answer_url.address = updated.answerUrl;
+    } catch (error) {
+      console.warn('Could not add the application ID to the answer URL; inbound calls will use the default flow:', error.message);
+    }
+    
     res.json({
       success: true,
       application,
@@ -389,136 +655,892 @@ router.post('/vonage/applications', async (req, res) => {
   }
 });
 
-// Start a phone call
-router.post('/vonage/call', async (req, res) => {
+// List the account's Vonage applications
+router.get('/vonage/applications', async (req, res) => {
   try {
-    const { to, from, record, applicationId, privateKey } = req.body;
-    
-    if (!to || !from || !applicationId || !privateKey) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters: to, from, applicationId, privateKey'
-      });
-    }
-    
-    console.log('Starting real phone call to:', to, 'from:', from);
-    
-    // Start the real call with real Vonage API
-    const call = await vonageService.startCall(to, from, record, applicationId, privateKey);
+    const applications = await vonageService.listApplications();
     
     res.json({
       success: true,
-      call,
+      applications,
       mode: 'production'
     });
   } catch (error) {
-    console.error('Error starting call:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to start call',
-      error: error.message
-    });
+    sendVonageError(res, error, 'Failed to list Vonage applications');
   }
 });
 
-// Get call information
-router.get('/vonage/call/:uuid', async (req, res) => {
+// Get a Vonage application
+router.get('/vonage/applications/:id', async (req, res) => {
   try {
-    const { uuid } = req.params;
-    const { applicationId, privateKey } = req.query;
-    
-    if (!applicationId || !privateKey) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters: applicationId, privateKey'
-      });
-    }
-    
-    console.log('Getting call information for UUID:', uuid);
-    
-    // Get call information using real Vonage API
-    const callInfo = await vonageService.getCallInfo(uuid, applicationId, privateKey);
+    const application = await vonageService.getApplication(req.params.id);
     
     res.json({
       success: true,
-      call: callInfo,
+      application,
       mode: 'production'
     });
   } catch (error) {
-    console.error('Error getting call info:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get call information',
-      error: error.message
-    });
+    sendVonageError(res, error, 'Failed to get Vonage application');
   }
 });
 
-// List recordings
-router.get('/vonage/recordings', async (req, res) => {
+// Rename a Vonage application and/or change its webhook URLs
+// Body: { name, answerUrl, eventUrl } or { name, useCurrentBaseUrl: true } to point the webhooks at this server
+router.put('/vonage/applications/:id', async (req, res) => {
   try {
-    const { applicationId, privateKey } = req.query;
+    const { name, useCurrentBaseUrl } = req.body;
+    const webhooks = useCurrentBaseUrl ? getWebhookUrls(req, req.params.id) : req.body;
     
-    if (!applicationId || !privateKey) {
+    if (!name && !webhooks.answerUrl && !webhooks.eventUrl) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required parameters: applicationId, privateKey'
+        message: 'Nothing to update: provide name, answerUrl, eventUrl or useCurrentBaseUrl'
       });
     }
     
-    console.log('Getting recordings list for application:', applicationId);
-    
-    // Get recordings list from real Vonage API
-    const recordings = await vonageService.getRecordings(applicationId, privateKey);
+    const application = await vonageService.updateApplication(req.params.id, {
+      name,
+      answerUrl: webhooks.answerUrl,
+      eventUrl: webhooks.eventUrl
+    });
     
     res.json({
       success: true,
-      recordings,
+      application,
       mode: 'production'
     });
   } catch (error) {
-    console.error('Error listing recordings:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to list recordings',
-      error: error.message
+    sendVonageError(res, error, 'Failed to update Vonage application');
+  }
+});
+
+// Replace a Vonage application's key pair; the new private key stays on the server
+router.post('/vonage/applications/:id/keys', async (req, res) => {
+  try {
+    const application = await vonageService.rotateApplicationKey(req.params.id);
+    
+    res.json({
+      success: true,
+      application,
+      mode: 'production'
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to rotate Vonage application key');
+  }
+});
+
+// Delete a Vonage application
+router.delete('/vonage/applications/:id', async (req, res) => {
+  try {
+    await vonageService.deleteApplication(req.params.id);
+    
+    res.json({
+      success: true,
+      message: 'Application deleted'
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to delete Vonage application');
+  }
+});
+
+// List the account's numbers, optionally only those linked to ?applicationId=
+router.get('/vonage/numbers', async (req, res) => {
+  try {
+    const numbers = await vonageService.listNumbers({ applicationId: req.query.applicationId });
+    
+    res.json({
+      success: true,
+      numbers,
+      mode: 'production'
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to list Vonage numbers');
+  }
+});
+
+// Search numbers available to buy: ?country=US&features=VOICE&type=landline&pattern=1555
+router.get('/vonage/numbers/search', async (req, res) => {
+  try {
+    const { country, features, type, pattern } = req.query;
+    
+    if (!isCountryCode(country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A two-letter country code is required'
+      });
+    }
+    
+    const numbers = await vonageService.searchNumbers({
+      country: country.toUpperCase(),
+      features: features || 'VOICE',
+      type,
+      pattern
+    });
+    
+    res.json({
+      success: true,
+      numbers,
+      mode: 'production'
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to search Vonage numbers');
+  }
+});
+
+// Buy a number
+router.post('/vonage/numbers', async (req, res) => {
+  try {
+    const { country, msisdn } = req.body;
+    
+    if (!isCountryCode(country) || !isMsisdn(msisdn)) {
+      return res.status(400).json({
+        success: false,
+        message: 'country (two letters) and msisdn (digits only, no +) are required'
+      });
+    }
+    
+    await vonageService.buyNumber(country.toUpperCase(), msisdn);
+    
+    res.json({
+      success: true,
+      message: `Bought ${msisdn}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to buy Vonage number');
+  }
+});
+
+// Link a number to an application so inbound calls reach its webhooks
+router.put('/vonage/numbers/:country/:msisdn', async (req, res) => {
+  try {
+    const { country, msisdn } = req.params;
+    const { applicationId } = req.body;
+    
+    if (!isCountryCode(country) || !isMsisdn(msisdn) || !applicationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid country, msisdn and applicationId are required'
+      });
+    }
+    
+    await vonageService.linkNumber(country.toUpperCase(), msisdn, applicationId);
+    
+    res.json({
+      success: true,
+      message: `Linked ${msisdn} to application ${applicationId}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to link Vonage number');
+  }
+});
+
+// Cancel a number
+router.delete('/vonage/numbers/:country/:msisdn', async (req, res) => {
+  try {
+    const { country, msisdn } = req.params;
+    
+    if (!isCountryCode(country) || !isMsisdn(msisdn)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid country and msisdn are required'
+      });
+    }
+    
+    await vonageService.cancelNumber(country.toUpperCase(), msisdn);
+    
+    res.json({
+      success: true,
+      message: `Cancelled ${msisdn}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to cancel Vonage number');
+  }
+});
+
+// List call flows (NCCO templates) and the applications that use a specific one
+router.get('/vonage/flows', (req, res) => {
+  res.json({
+    success: true,
+    flows: callFlowService.listTemplates(),
+    applications: callFlowService.listApplicationFlows()
+  });
+});
+
+// Get a call flow
+router.get('/vonage/flows/:name', (req, res) => {
+  const flow = callFlowService.getTemplate(req.params.name);
+  
+  if (!flow) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown call flow: ${req.params.name}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    flow
+  });
+});
+
+// Create or replace a call flow
+// Body: { description, variables: { name: { type, default, description } }, ncco: [...] }
+router.put('/vonage/flows/:name', (req, res) => {
+  try {
+    const template = { ...req.body, name: req.params.name };
+    const { valid, errors } = callFlowService.validateTemplate(template);
+    
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid call flow',
+        errors
+      });
+    }
+    
+    res.json({
+      success: true,
+      flow: callFlowService.saveTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error saving call flow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save call flow',
+      error: error.message
+    });
+  }
+});
+
+// Delete a call flow (built-in flows are reset to their original script)
+router.delete('/vonage/flows/:name', (req, res) => {
+  try {
+    if (!callFlowService.deleteTemplate(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown call flow: ${req.params.name}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Deleted call flow ${req.params.name}`
+    });
+  } catch (error) {
+    console.error('Error deleting call flow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete call flow',
+      error: error.message
+    });
+  }
+});
+
+// Render a call flow without placing a call
+// Body: { variables } (a template in the body previews unsaved changes)
+router.post('/vonage/flows/:name/preview', (req, res) => {
+  const { variables, template } = req.body;
+  
+  if (template) {
+    const { valid, errors } = callFlowService.validateTemplate({ ...template, name: req.params.name });
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid call flow',
+        errors
+      });
+    }
+  }
+  
+  try {
+    const ncco = template
+      ? callFlowService.renderTemplate({ ...template, name: req.params.name }, variables, { baseUrl: getBaseUrl(req), callUuid: 'preview-call-uuid' })
+      : callFlowService.renderFlow(req.params.name, variables, { baseUrl: getBaseUrl(req), callUuid: 'preview-call-uuid' });
+    
+    res.json({
+      success: true,
+      ncco
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Choose the call flow for an application's inbound and outbound calls
+// Body: { flow } (null to go back to the defaults)
+router.put('/vonage/applications/:id/flow', (req, res) => {
+  const { flow } = req.body;
+  
+  if (flow && !callFlowService.getTemplate(flow)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown call flow: ${flow}`
+    });
+  }
+  
+  callFlowService.setApplicationFlow(req.params.id, flow || null);
+  
+  res.json({
+    success: true,
+    message: flow ? `Application ${req.params.id} now uses ${flow}` : `Application ${req.params.id} uses the default flows`
+  });
+});
+
+function isCountryCode(value) {
+  return typeof value === 'string' && /^[a-z]{2}$/i.test(value);
+}
+
+// Vonage numbers are E.164 without the leading +
+function isMsisdn(value) {
+  return typeof value === 'string' && /^\d{6,15}$/.test(value);
+}
+
+// Pass Vonage's 4xx status (e.g. an unknown application) through; anything else is a 500
+function sendVonageError(res, error, message) {
+  console.error(`${message}:`, error.response?.data || error.message);
+  const status = error.response?.status;
+  res.status(status >= 400 && status < 500 ? status : 500).json({
+    success: false,
+    message,
+    error: error.response?.data?.title || error.response?.data?.['error-code-label'] || error.message
+  });
+}
+
+// Public base URL for webhooks (based on request or environment variable)
+function getBaseUrl(req) {
+  return process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// The application ID in the answer URL lets inbound calls use the application's call flow
+function getWebhookUrls(req, applicationId) {
+  const baseUrl = getBaseUrl(req);
+  return {
+    answerUrl: `${baseUrl}/api/vonage/answer${applicationId ? `?application_id=${encodeURIComponent(applicationId)}` : ''}`,
+    eventUrl: `${baseUrl}/api/vonage/event`
+  };
+}
+
+// Start a phone call
+router.post('/vonage/call', async (req, res) => {
+  try {
+    const { to, from, record, applicationId, flow, flowVariables } = req.body;
+    
+    if (!to || !from || !applicationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameters: to, from, applicationId'
+      });
+    }
+    
+    if (!credentialVault.hasApplication(applicationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown application: create it with /api/vonage/applications first'
+      });
+    }
+    
+    // Build the call script from the requested flow, or the application's flow
+    const flowName = flow || callFlowService.getApplicationFlow(applicationId, 'outbound');
+    const variables = { ...flowVariables };
+    if (typeof record === 'boolean' && callFlowService.getTemplate(flowName)?.variables.record) {
+      variables.record = record;
+    }
+    
+    let ncco;
+    try {
+      ncco = callFlowService.renderFlow(flowName, variables, { baseUrl: getBaseUrl(req), applicationId });
+    } catch (flowError) {
+      return res.status(400).json({
+        success: false,
+        message: flowError.message
+      });
+    }
+    
+    console.log('Starting real phone call to:', to, 'from:', from, 'with flow:', flowName);
+    
+    // Start the real call with real Vonage API
+    const call = await vonageService.startCall(to, from, ncco, applicationId);
+    
+    // Track the call so its status can be pushed to the browser as events arrive
+    callStateService.trackCall({ uuid: call.uuid, to, from, conversationUuid: call.conversation_uuid });
+    
+    res.json({
+      success: true,
+      call,
+      mode: 'production'
+    });
+  } catch (error) {
+    console.error('Error starting call:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start call',
+      error: error.message
+    });
+  }
+});
+
+// Live call state as Server-Sent Events
+// Sends a snapshot of the tracked calls, then a "call" event for every status transition
+router.get('/vonage/calls/events', (req, res) => {
+  const sendEvent = openEventStream(res);
+  
+  sendEvent('snapshot', { calls: callStateService.getCalls() });
+  
+  const unsubscribe = callStateService.subscribe((call) => sendEvent('call', call));
+  
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Get call information
+router.get('/vonage/call/:uuid', requireStoredApplication, async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    
+    console.log('Getting call information for UUID:', uuid);
+    
+    // Get call information using real Vonage API
+    const callInfo = await vonageService.getCallInfo(uuid, req.applicationId);
+    
+    res.json({
+      success: true,
+      call: callInfo,
+      mode: 'production'
+    });
+  } catch (error) {
+    console.error('Error getting call info:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get call information',
+      error: error.message
+    });
+  }
+});
+
+// Hang up, mute/unmute or earmuff/unearmuff a call in progress
+// Body: { applicationId }
+router.post('/vonage/call/:uuid/:action(hangup|mute|unmute|earmuff|unearmuff)', requireStoredApplication, async (req, res) => {
+  try {
+    const { uuid, action } = req.params;
+    
+    await vonageService.modifyCall(uuid, req.applicationId, action);
+    
+    res.json({
+      success: true,
+      message: `Sent ${action} to call ${uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, `Failed to ${req.params.action} call`);
+  }
+});
+
+// Transfer a call in progress to a new NCCO
+// Body: { applicationId, ncco: [...] }
+router.post('/vonage/call/:uuid/transfer', requireStoredApplication, async (req, res) => {
+  try {
+    const { ncco } = req.body;
+    
+    if (!Array.isArray(ncco) || ncco.length === 0 || !ncco.every(step => step && typeof step.action === 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'ncco must be a non-empty array of actions'
+      });
+    }
+    
+    await vonageService.transferCall(req.params.uuid, req.applicationId, ncco);
+    
+    res.json({
+      success: true,
+      message: `Transferred call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to transfer call');
+  }
+});
+
+// Speak text into a call in progress
+// Body: { applicationId, text, language, loop }
+router.post('/vonage/call/:uuid/talk', requireStoredApplication, async (req, res) => {
+  try {
+    const { text, language, loop } = req.body;
+    
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Text is required'
+      });
+    }
+    
+    await vonageService.playTalk(req.params.uuid, req.applicationId, text, { language, loop });
+    
+    res.json({
+      success: true,
+      message: `Speaking into call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to speak into call');
+  }
+});
+
+// Stop text being spoken into a call (?applicationId=)
+router.delete('/vonage/call/:uuid/talk', requireStoredApplication, async (req, res) => {
+  try {
+    await vonageService.stopTalk(req.params.uuid, req.applicationId);
+    
+    res.json({
+      success: true,
+      message: `Stopped speaking into call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to stop speaking into call');
+  }
+});
+
+// Play an audio file into a call in progress
+// Body: { applicationId, streamUrl, loop }
+router.post('/vonage/call/:uuid/stream', requireStoredApplication, async (req, res) => {
+  try {
+    const { streamUrl, loop } = req.body;
+    
+    if (!isHttpUrl(streamUrl)) {
+      return res.status(400).json({
+        success: false,
+        message: 'streamUrl must be an http(s) URL'
+      });
+    }
+    
+    await vonageService.playStream(req.params.uuid, req.applicationId, streamUrl, { loop });
+    
+    res.json({
+      success: true,
+      message: `Playing audio into call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to play audio into call');
+  }
+});
+
+// Stop an audio file playing into a call (?applicationId=)
+router.delete('/vonage/call/:uuid/stream', requireStoredApplication, async (req, res) => {
+  try {
+    await vonageService.stopStream(req.params.uuid, req.applicationId);
+    
+    res.json({
+      success: true,
+      message: `Stopped audio in call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to stop audio in call');
+  }
+});
+
+// Send DTMF tones into a call in progress
+// Body: { applicationId, digits }
+router.post('/vonage/call/:uuid/dtmf', requireStoredApplication, async (req, res) => {
+  try {
+    const { digits } = req.body;
+    
+    if (typeof digits !== 'string' || !/^[0-9*#p]{1,64}$/.test(digits)) {
+      return res.status(400).json({
+        success: false,
+        message: 'digits may only contain 0-9, *, # and p (pause)'
+      });
+    }
+    
+    await vonageService.sendDtmf(req.params.uuid, req.applicationId, digits);
+    
+    res.json({
+      success: true,
+      message: `Sent DTMF to call ${req.params.uuid}`
+    });
+  } catch (error) {
+    sendVonageError(res, error, 'Failed to send DTMF');
+  }
+});
+
+// Require an applicationId (body or query) whose private key is in the credential vault
+function requireStoredApplication(req, res, next) {
+  const applicationId = req.body?.applicationId || req.query.applicationId;
+  
+  if (!applicationId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required parameter: applicationId'
+    });
+  }
+  
+  if (!credentialVault.hasApplication(applicationId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown application: create it with /api/vonage/applications first'
+    });
+  }
+  
+  req.applicationId = applicationId;
+  next();
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Campaign CSVs are small text files
+const MAX_CAMPAIGN_UPLOAD_BYTES = 1024 * 1024;
+
+const campaignUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CAMPAIGN_UPLOAD_BYTES }
+});
+
+// Create an outbound call campaign
+// Accepts a multipart upload with a "file" CSV field or a JSON body with the CSV text in "csv",
+// plus name, flow, from, applicationId, maxConcurrent, callsPerSecond, maxAttempts and retryDelayMs
+router.post('/vonage/campaigns', campaignUpload.single('file'), requireStoredApplication, (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    const { name, flow, from, maxConcurrent, callsPerSecond, maxAttempts, retryDelayMs } = req.body;
+    
+    if (!csv || !from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameters: csv (or a file upload), from'
+      });
+    }
+    
+    const campaign = campaignService.createCampaign({
+      name,
+      csv,
+      flow: flow || callFlowService.getApplicationFlow(req.applicationId, 'outbound'),
+      from,
+      applicationId: req.applicationId,
+      baseUrl: getBaseUrl(req),
+      maxConcurrent,
+      callsPerSecond,
+      maxAttempts,
+      retryDelayMs
+    });
+    
+    console.log(`Created campaign ${campaign.id} with ${campaign.rows.length} numbers`);
+    
+    res.json({
+      success: true,
+      campaign: campaignService.getCampaign(campaign.id)
+    });
+  } catch (error) {
+    console.error('Error creating campaign:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
     });
   }
 });
 
+// List campaigns with their progress counts
+router.get('/vonage/campaigns', (req, res) => {
+  res.json({
+    success: true,
+    campaigns: campaignService.listCampaigns()
+  });
+});
+
+// Campaign progress as Server-Sent Events
+// Sends a snapshot of the campaigns, then a "campaign" event for every change
+router.get('/vonage/campaigns/events', (req, res) => {
+  const sendEvent = openEventStream(res);
+  
+  sendEvent('snapshot', { campaigns: campaignService.listCampaigns() });
+  
+  const unsubscribe = campaignService.subscribe((campaign) => sendEvent('campaign', campaign));
+  
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Get a campaign with the outcome of each row
+router.get('/vonage/campaigns/:id', (req, res) => {
+  const campaign = campaignService.getCampaign(req.params.id);
+  
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    campaign
+  });
+});
+
+// Start, pause or cancel a campaign's dialer
+router.post('/vonage/campaigns/:id/:action(start|pause|cancel)', (req, res) => {
+  const { id, action } = req.params;
+  
+  if (!campaignService.getCampaign(id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+  
+  try {
+    const actions = {
+      start: campaignService.startCampaign,
+      pause: campaignService.pauseCampaign,
+      cancel: campaignService.cancelCampaign
+    };
+    actions[action](id);
+    
+    res.json({
+      success: true,
+      campaign: campaignService.getCampaign(id)
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Download a campaign's results as CSV
+router.get('/vonage/campaigns/:id/export', (req, res) => {
+  const campaign = campaignService.getCampaign(req.params.id);
+  
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+  
+  const filename = `${campaign.name.replace(/[^\w-]+/g, '-')}-results.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(campaignService.exportCampaign(campaign.id));
+});
+
+// List recordings from the local catalog
+// Optional filters: applicationId, callUuid, startDate and endDate (ISO 8601)
+router.get('/vonage/recordings', (req, res) => {
+  try {
+    const { applicationId, callUuid, startDate, endDate } = req.query;
+    
+    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates'
+      });
+    }
+    
+    console.log('Getting recordings list for application:', applicationId || 'all');
+    
+    const recordings = recordingService.listRecordings({ applicationId, callUuid, startDate, endDate });
+    
+    res.json({
+      success: true,
+      recordings,
+      mode: 'production'
+    });
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list recordings',
+      error: error.message
+    });
+  }
+});
+
+// Queue a recording for transcription and summary again (e.g. after the analysis failed)
+router.post('/vonage/recordings/:id/analyze', (req, res) => {
+  const recording = recordingAnalysisService.enqueue(req.params.id);
+  
+  if (!recording) {
+    return res.status(404).json({
+      success: false,
+      message: 'Recording not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    recording
+  });
+});
+
 // NCCO answer webhook for Vonage Voice API
 router.get('/vonage/answer', (req, res) => {
   // This endpoint provides the call flow instructions when a call connects
-  // Return a Nexmo Call Control Object (NCCO)
-  const ncco = [
-    {
-      action: 'talk',
-      text: 'Welcome to the AI Voice Agent. This call may be recorded for quality assurance.',
-      voiceName: 'Amy'
-    },
-    {
-      action: 'conversation',
-      name: `conversation-${Date.now()}`,
-      startOnEnter: true,
-      endOnExit: true,
-      record: true
-    }
-  ];
+  // Return a Nexmo Call Control Object (NCCO) rendered from the call flow chosen for the application
+  // (by default the AI phone agent); ?flow= in the answer URL picks a flow directly
+  const flowName = req.query.flow || callFlowService.getApplicationFlow(req.query.application_id, 'inbound');
   
-  res.json(ncco);
+  try {
+    res.json(callFlowService.renderFlow(flowName, {}, {
+      baseUrl: getBaseUrl(req),
+      callUuid: req.query.uuid,
+      applicationId: req.query.application_id
+    }));
+  } catch (error) {
+    console.error(`Error rendering call flow ${flowName}:`, error.message);
+    res.json([
+      {
+        action: 'talk',
+        text: 'Sorry, this number is not available right now. Please try again later.'
+      }
+    ]);
+  }
+});
+
+// Speech input webhook for the turn-based AI phone agent (the ai-agent-turns call flow)
+// Returns an NCCO that speaks the agent's reply and listens for the caller's next turn
+router.post('/vonage/agent/input', verifyVonageSignature, async (req, res) => {
+  // Only pass through a language code like en-US, since it ends up in the NCCO
+  const language = /^[a-z]{2,3}-[A-Z]{2}$/.test(req.query.language || '') ? req.query.language : undefined;
+  const inputUrl = `${getBaseUrl(req)}/api/vonage/agent/input${language ? `?language=${encodeURIComponent(language)}` : ''}`;
+  
+  try {
+    res.json(await phoneAgentService.handleSpeechInput(req.body, { inputUrl, language }));
+  } catch (error) {
+    // Vonage still needs an NCCO, otherwise the call goes silent
+    console.error('Error handling phone agent speech input:', error);
+    res.json(phoneAgentService.buildFallbackNcco({ inputUrl, language }));
+  }
 });
 
 // Event webhook for Vonage Voice API
-router.post('/vonage/event', (req, res) => {
+router.post('/vonage/event', verifyVonageSignature, (req, res) => {
   // This endpoint receives call events (started, ringing, answered, completed, etc.)
   console.log('Vonage call event received:', req.body);
   
-  // No specific processing needed, just acknowledge receipt
+  // Advance the call's state; subscribers are notified of the transition
+  callStateService.handleEvent(req.body);
+  
   res.status(204).end();
 });
 
 // Recording webhook for Vonage Voice API
-router.post('/vonage/recordings', async (req, res) => {
+router.post('/vonage/recordings', verifyVonageSignature, async (req, res) => {
   try {
     // This webhook receives recording information when a call recording completes
     console.log('Recording webhook received:', req.body);
@@ -526,18 +1548,28 @@ router.post('/vonage/recordings', async (req, res) => {
     const recordingUrl = req.body.recording_url;
     const recordingUuid = req.body.recording_uuid;
     
+    if (recordingUrl && !isAllowedRecordingUrl(recordingUrl)) {
+      // Never send our API credentials to a host we don't trust
+      console.warn('Refusing to download recording from untrusted URL:', recordingUrl);
+      return res.status(400).json({
+        success: false,
+        message: 'Recording URL host is not allowed'
+      });
+    }
+    
+    // The UUID becomes a file name, so don't let it escape the recordings directory
+    if (recordingUuid && !/^[A-Za-z0-9-]+$/.test(recordingUuid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recording UUID'
+      });
+    }
+    
     if (recordingUrl && recordingUuid) {
-      // Create a recordings directory if it doesn't exist
-      const recordingsDir = path.join(__dirname, '../../recordings');
-      if (!fs.existsSync(recordingsDir)) {
-        fs.mkdirSync(recordingsDir, { recursive: true });
-      }
-      
       console.log(`Recording available at ${recordingUrl} with UUID ${recordingUuid}`);
       
       try {
         // Download the recording
-        const axios = require('axios');
         const response = await axios.get(recordingUrl, { 
           responseType: 'arraybuffer',
           headers: {
@@ -545,12 +1577,22 @@ router.post('/vonage/recordings', async (req, res) => {
           }
         });
         
-        // Save the recording to the recordings directory
-        const fs = require('fs');
-        const recordingPath = path.join(recordingsDir, `${recordingUuid}.mp3`);
-        fs.writeFileSync(recordingPath, Buffer.from(response.data));
+        // Link the recording to its call: from the record action's eventUrl, or through the conversation
+        const conversationUuid = req.body.conversation_uuid;
+        const call = callStateService.findCallByConversation(conversationUuid);
+        
+        const recording = recordingService.saveRecording(recordingUuid, Buffer.from(response.data), {
+          callUuid: req.query.call_uuid || call?.uuid,
+          conversationUuid,
+          applicationId: req.vonageClaims?.application_id || req.query.application_id,
+          startTime: req.body.start_time,
+          endTime: req.body.end_time
+        });
+        
+        console.log(`Successfully saved recording ${recordingUuid} (${recording.duration}s)`);
         
-        console.log(`Successfully downloaded recording to ${recordingPath}`);
+        // Transcribe and summarize in the background so reviewers can scan the call later
+        recordingAnalysisService.enqueue(recordingUuid);
       } catch (downloadError) {
         console.error('Error downloading recording:', downloadError);
       }
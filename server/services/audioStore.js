@@ -0,0 +1,179 @@
+/**
+ * Audio store
+ * Keeps generated audio clips within a memory budget: least recently used clips
+ * are spilled to a temp directory on disk, and clips expire after a TTL
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Limits, overridable from the environment
+const MAX_MEMORY_BYTES = parseInt(process.env.AUDIO_STORE_MAX_MEMORY_BYTES, 10) || 50 * 1024 * 1024; // 50 MB
+const MAX_DISK_BYTES = parseInt(process.env.AUDIO_STORE_MAX_DISK_BYTES, 10) || 500 * 1024 * 1024; // 500 MB
+const TTL_MS = parseInt(process.env.AUDIO_STORE_TTL_MS, 10) || 30 * 60 * 1000; // 30 minutes
+const STORE_DIR = process.env.AUDIO_STORE_DIR || path.join(os.tmpdir(), 'voice-agent-audio');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Names of the files this store writes (see save); nothing else in STORE_DIR is touched
+const CLIP_FILE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[a-z0-9]+$/;
+
+// Clips keyed by ID; Map order is least to most recently used
+const entries = new Map();
+let memoryBytes = 0;
+let diskBytes = 0;
+
+// Clips from a previous run are unreachable, so delete them; AUDIO_STORE_DIR may be a shared directory
+fs.mkdirSync(STORE_DIR, { recursive: true });
+fs.readdirSync(STORE_DIR)
+  .filter(name => CLIP_FILE_PATTERN.test(name))
+  .forEach(name => fs.rmSync(path.join(STORE_DIR, name), { force: true }));
+
+// Expire clips even when nothing new is being stored
+setInterval(removeExpired, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Store an audio clip
+ * @param {Buffer} audio - Audio data
+ * @param {Object} [options] - Clip options
+ * @param {string} [options.extension] - File extension (defaults to mp3)
+ * @param {string} [options.contentType] - MIME type (defaults to audio/mpeg)
+ * @returns {string} - Clip ID, usable as a file name in /api/audio/:filename
+ */
+function save(audio, options = {}) {
+  const extension = options.extension || 'mp3';
+  const id = `${crypto.randomUUID()}.${extension}`;
+
+  entries.set(id, {
+    id,
+    buffer: audio,
+    filePath: null,
+    size: audio.length,
+    contentType: options.contentType || 'audio/mpeg',
+    createdAt: Date.now()
+  });
+  memoryBytes += audio.length;
+
+  removeExpired();
+  enforceLimits();
+
+  return id;
+}
+
+/**
+ * Look up an audio clip and mark it as recently used
+ * @param {string} id - Clip ID
+ * @returns {{buffer: Buffer|null, filePath: string|null, contentType: string, size: number}|null} - Clip held in memory (buffer) or on disk (filePath), or null if unknown or expired
+ */
+function get(id) {
+  const entry = entries.get(id);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > TTL_MS) {
+    remove(entry);
+    return null;
+  }
+
+  // Move to the most recently used end
+  entries.delete(id);
+  entries.set(id, entry);
+
+  return {
+    buffer: entry.buffer,
+    filePath: entry.buffer ? null : entry.filePath,
+    contentType: entry.contentType,
+    size: entry.size
+  };
+}
+
+/**
+ * Get the current size of the store
+ * @returns {{clips: number, memoryBytes: number, diskBytes: number}} - Store usage
+ */
+function getStats() {
+  return {
+    clips: entries.size,
+    memoryBytes,
+    diskBytes
+  };
+}
+
+// Spill least recently used clips to disk, then drop the oldest clips on disk
+function enforceLimits() {
+  for (const entry of entries.values()) {
+    if (memoryBytes <= MAX_MEMORY_BYTES) break;
+    if (entry.buffer && !entry.spilling) {
+      spillToDisk(entry);
+    }
+  }
+
+  for (const entry of entries.values()) {
+    if (diskBytes <= MAX_DISK_BYTES) break;
+    if (entry.filePath) {
+      remove(entry);
+    }
+  }
+}
+
+// Write a clip to disk and release its memory once the write has finished
+function spillToDisk(entry) {
+  const filePath = path.join(STORE_DIR, entry.id);
+  entry.spilling = true;
+  memoryBytes -= entry.size;
+  diskBytes += entry.size;
+
+  fs.promises.writeFile(filePath, entry.buffer)
+    .then(() => {
+      entry.spilling = false;
+      if (entries.get(entry.id) !== entry) {
+        // Removed while it was being written
+        fs.promises.unlink(filePath).catch(() => {});
+        return;
+      }
+      entry.filePath = filePath;
+      entry.buffer = null;
+    })
+    .catch(error => {
+      console.error('Failed to spill audio clip to disk, discarding it:', error.message);
+      entry.spilling = false;
+      if (entries.get(entry.id) === entry) {
+        entries.delete(entry.id);
+        diskBytes -= entry.size;
+      }
+    });
+}
+
+function remove(entry) {
+  entries.delete(entry.id);
+
+  if (entry.buffer && !entry.spilling) {
+    memoryBytes -= entry.size;
+  } else {
+    diskBytes -= entry.size;
+  }
+
+  if (entry.filePath) {
+    fs.promises.unlink(entry.filePath).catch(error => {
+      console.warn('Failed to delete spilled audio clip:', error.message);
+    });
+  }
+}
+
+function removeExpired() {
+  const now = Date.now();
+  for (const entry of entries.values()) {
+    if (now - entry.createdAt > TTL_MS) {
+      remove(entry);
+    }
+  }
+}
+
+module.exports = {
+  save,
+  get,
+  getStats
+};
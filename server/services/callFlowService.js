@@ -0,0 +1,472 @@
+/**
+ * Call flow service
+ * Stores named NCCO templates with typed variables, validates them against the
+ * NCCO action schemas, and renders them into the NCCO for a call
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMediaToken } = require('../middleware/vonageSignature');
+
+const FLOWS_FILE = process.env.CALL_FLOWS_FILE || path.join(__dirname, '../../data/call-flows.json');
+
+// Flows used when neither the call nor its application picks one
+const DEFAULT_INBOUND_FLOW = 'ai-agent';
+const DEFAULT_OUTBOUND_FLOW = 'recorded-conversation';
+
+// Values filled in by the server for every call; templates can reference them but not override them
+const CONTEXT_VARIABLES = ['baseUrl', 'eventUrl', 'recordingUrl', 'mediaUrl', 'agentInputUrl', 'callUuid', 'applicationId', 'conversationName'];
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean'];
+
+// Fields each NCCO action accepts, with their JSON type, and which are required
+const ACTION_SCHEMAS = {
+  talk: {
+    required: ['text'],
+    fields: { text: 'string', bargeIn: 'boolean', loop: 'number', level: 'number', language: 'string', style: 'number', premium: 'boolean', voiceName: 'string' }
+  },
+  stream: {
+    required: ['streamUrl'],
+    fields: { streamUrl: 'array', level: 'number', bargeIn: 'boolean', loop: 'number' }
+  },
+  input: {
+    required: ['type'],
+    fields: { type: 'array', dtmf: 'object', speech: 'object', eventUrl: 'array', eventMethod: 'string' }
+  },
+  record: {
+    required: [],
+    fields: { format: 'string', split: 'string', channels: 'number', endOnSilence: 'number', endOnKey: 'string', timeOut: 'number', beepStart: 'boolean', eventUrl: 'array', eventMethod: 'string', transcription: 'object' }
+  },
+  connect: {
+    required: ['endpoint'],
+    fields: { endpoint: 'array', from: 'string', randomFromNumber: 'boolean', eventType: 'string', timeout: 'number', limit: 'number', machineDetection: 'string', advancedMachineDetection: 'object', eventUrl: 'array', eventMethod: 'string', ringbackTone: 'string' }
+  },
+  conversation: {
+    required: ['name'],
+    fields: { name: 'string', musicOnHoldUrl: 'array', startOnEnter: 'boolean', endOnExit: 'boolean', record: 'boolean', canSpeak: 'array', canHear: 'array', mute: 'boolean' }
+  },
+  notify: {
+    required: ['payload', 'eventUrl'],
+    fields: { payload: 'object', eventUrl: 'array', eventMethod: 'string' }
+  }
+};
+
+// The call scripts that used to be hardcoded in startCall and /api/vonage/answer
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'ai-agent',
+    description: 'Greets the caller, then hands the call audio to the AI phone agent',
+    variables: {
+      greeting: { type: 'string', default: 'Welcome to the AI Voice Agent. This call may be recorded for quality assurance.', description: 'Spoken when the call connects' },
+      voiceName: { type: 'string', default: 'Amy', description: 'Vonage voice for the greeting' },
+      record: { type: 'boolean', default: true, description: 'Record the whole call' }
+    },
+    ncco: [
+      // Without endOn* options the recording runs in the background for the whole call
+      { if: 'record', action: 'record', eventUrl: ['{{recordingUrl}}'] },
+      { action: 'talk', text: '{{greeting}}', voiceName: '{{voiceName}}' },
+      {
+        action: 'connect',
+        eventUrl: ['{{eventUrl}}'],
+        endpoint: [
+          {
+            type: 'websocket',
+            uri: '{{mediaUrl}}',
+            'content-type': 'audio/l16;rate=16000',
+            // Sent back to us in the websocket:connected message; the agent's call control tools need both
+            headers: { callUuid: '{{callUuid}}', applicationId: '{{applicationId}}' }
+          }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'ai-agent-turns',
+    description: 'Turn-based AI phone agent: Vonage recognizes each caller turn and the reply comes back as a new NCCO',
+    variables: {
+      greeting: { type: 'string', default: 'Hello, you are speaking with the AI Voice Agent. How can I help you?', description: 'Spoken when the call connects' },
+      voiceName: { type: 'string', default: 'Amy', description: 'Vonage voice for the greeting' },
+      language: { type: 'string', default: 'en-US', description: 'Speech recognition and reply language' },
+      record: { type: 'boolean', default: true, description: 'Record the whole call' }
+    },
+    ncco: [
+      { if: 'record', action: 'record', eventUrl: ['{{recordingUrl}}'] },
+      { action: 'talk', text: '{{greeting}}', voiceName: '{{voiceName}}', bargeIn: true },
+      {
+        action: 'input',
+        type: ['speech'],
+        speech: { language: '{{language}}', endOnSilence: 1, startTimeout: 10 },
+        // Replies and later turns keep the language through the webhook URL
+        eventUrl: ['{{agentInputUrl}}?language={{language}}']
+      }
+    ]
+  },
+  {
+    name: 'recorded-conversation',
+    description: 'Announces the recording, records until silence or *, then joins a conversation',
+    variables: {
+      greeting: { type: 'string', default: 'This call will be recorded for quality assurance. Press star to end the call.', description: 'Spoken when the call connects' },
+      voiceName: { type: 'string', default: 'Amy', description: 'Vonage voice for the greeting' },
+      record: { type: 'boolean', default: true, description: 'Record the call' },
+      endOnSilence: { type: 'number', default: 5, description: 'Seconds of silence that end the recording (3-10)' },
+      endOnKey: { type: 'string', default: '*', description: 'Key that ends the recording' }
+    },
+    ncco: [
+      { action: 'talk', text: '{{greeting}}', voiceName: '{{voiceName}}' },
+      { if: 'record', action: 'record', eventUrl: ['{{recordingUrl}}'], beepStart: true, endOnSilence: '{{endOnSilence}}', endOnKey: '{{endOnKey}}' },
+      { action: 'conversation', name: '{{conversationName}}', startOnEnter: true, endOnExit: true }
+    ]
+  }
+];
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9]*)\s*\}\}/g;
+
+// Templates keyed by name, and the flow chosen for each application
+const templates = new Map(BUILT_IN_TEMPLATES.map(template => [template.name, { ...template, builtIn: true }]));
+const applicationFlows = new Map();
+loadFlows();
+
+/**
+ * Check a template against the NCCO schemas
+ * @param {Object} template - Template to check
+ * @returns {{valid: boolean, errors: string[]}} - Validation result
+ */
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return { valid: false, errors: ['Template must be an object'] };
+  }
+
+  if (typeof template.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(template.name)) {
+    errors.push('name must be lowercase letters, digits and dashes (up to 64 characters)');
+  }
+
+  if (template.description !== undefined && typeof template.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  const variables = template.variables || {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    errors.push('variables must be an object');
+  } else {
+    Object.entries(variables).forEach(([name, definition]) => {
+      if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+        errors.push(`variable ${name}: names must be alphanumeric`);
+      } else if (CONTEXT_VARIABLES.includes(name)) {
+        errors.push(`variable ${name}: reserved for the server`);
+      } else if (!definition || !VARIABLE_TYPES.includes(definition.type)) {
+        errors.push(`variable ${name}: type must be one of ${VARIABLE_TYPES.join(', ')}`);
+      } else if (definition.default === undefined || typeof definition.default !== definition.type) {
+        errors.push(`variable ${name}: default must be a ${definition.type}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(template.ncco) || template.ncco.length === 0) {
+    errors.push('ncco must be a non-empty array of actions');
+    return { valid: false, errors };
+  }
+
+  const known = [...CONTEXT_VARIABLES, ...Object.keys(typeof variables === 'object' ? variables : {})];
+
+  template.ncco.forEach((step, index) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`ncco[${index}]: must be an object`);
+      return;
+    }
+
+    const { if: condition, ...action } = step;
+    if (condition !== undefined && variables[condition]?.type !== 'boolean') {
+      errors.push(`ncco[${index}]: "if" must name a boolean variable`);
+    }
+
+    findPlaceholders(action).forEach(name => {
+      if (!known.includes(name)) {
+        errors.push(`ncco[${index}]: unknown variable {{${name}}}`);
+      }
+    });
+
+    // Check the step as it renders with the defaults, so typed placeholders are checked as their values
+    const defaults = Object.fromEntries(Object.entries(typeof variables === 'object' ? variables : {}).map(([name, definition]) => [name, definition?.default]));
+    errors.push(...validateAction(fill(action, { ...exampleContext(), ...defaults }), index));
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Create or replace a template
+ * @param {Object} template - Template with name, description, variables and ncco
+ * @returns {Object} - Saved template
+ */
+function saveTemplate(template) {
+  const { valid, errors } = validateTemplate(template);
+  if (!valid) {
+    throw new Error(`Invalid call flow: ${errors.join('; ')}`);
+  }
+
+  const saved = {
+    name: template.name,
+    description: template.description || '',
+    variables: template.variables || {},
+    ncco: template.ncco,
+    builtIn: BUILT_IN_TEMPLATES.some(builtIn => builtIn.name === template.name)
+  };
+  templates.set(saved.name, saved);
+  saveFlows();
+  return saved;
+}
+
+/**
+ * Delete a template; built-in templates are restored to their original script instead
+ * @param {string} name - Template name
+ * @returns {boolean} - Whether the template existed
+ */
+function deleteTemplate(name) {
+  if (!templates.has(name)) {
+    return false;
+  }
+
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.name === name);
+  if (builtIn) {
+    templates.set(name, { ...builtIn, builtIn: true });
+  } else {
+    templates.delete(name);
+    applicationFlows.forEach((flow, applicationId) => {
+      if (flow === name) applicationFlows.delete(applicationId);
+    });
+  }
+
+  saveFlows();
+  return true;
+}
+
+/**
+ * Get a template
+ * @param {string} name - Template name
+ * @returns {Object|null} - Template
+ */
+function getTemplate(name) {
+  return templates.get(name) || null;
+}
+
+/**
+ * List every template
+ * @returns {Array<Object>} - Templates, built-in ones first
+ */
+function listTemplates() {
+  return Array.from(templates.values()).sort((a, b) => (b.builtIn - a.builtIn) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Render a template into an NCCO
+ * @param {string} name - Template name
+ * @param {Object} [variables] - Values for the template's variables; missing ones use their defaults
+ * @param {Object} context - Server-provided values
+ * @param {string} context.baseUrl - Public base URL of this server
+ * @param {string} [context.callUuid] - UUID of the call, when known (inbound calls)
+ * @param {string} [context.applicationId] - Vonage application the call belongs to, when known
+ * @returns {Array<Object>} - NCCO
+ */
+function renderFlow(name, variables = {}, context) {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`Unknown call flow: ${name}`);
+  }
+
+  return renderTemplate(template, variables, context);
+}
+
+/**
+ * Render a template that may not be saved (e.g. to preview edits)
+ * @param {Object} template - Valid template
+ * @param {Object} [variables] - Values for the template's variables; missing ones use their defaults
+ * @param {Object} context - Server-provided values, as for renderFlow
+ * @returns {Array<Object>} - NCCO
+ */
+function renderTemplate(template, variables = {}, context) {
+  const values = {};
+  Object.entries(template.variables || {}).forEach(([variable, definition]) => {
+    const value = variables[variable] !== undefined ? variables[variable] : definition.default;
+    if (typeof value !== definition.type) {
+      throw new Error(`Call flow variable ${variable} must be a ${definition.type}`);
+    }
+    values[variable] = value;
+  });
+
+  const unknown = Object.keys(variables).filter(variable => !template.variables?.[variable]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown call flow variables: ${unknown.join(', ')}`);
+  }
+
+  const steps = template.ncco
+    .filter(step => step.if === undefined || values[step.if])
+    .map(({ if: condition, ...action }) => action);
+  const filled = { ...buildContext(context), ...values };
+
+  // Only possible for unsaved templates, which haven't been through validateTemplate
+  const unresolved = [...new Set(findPlaceholders(steps))].filter(variable => filled[variable] === undefined);
+  if (unresolved.length > 0) {
+    throw new Error(`Call flow ${template.name} uses unknown variables: ${unresolved.join(', ')}`);
+  }
+
+  const ncco = steps.map(action => fill(action, filled));
+
+  const errors = ncco.flatMap((action, index) => validateAction(action, index));
+  if (errors.length > 0) {
+    throw new Error(`Call flow ${template.name} rendered an invalid NCCO: ${errors.join('; ')}`);
+  }
+
+  return ncco;
+}
+
+/**
+ * Choose the flow an application's calls use when the call doesn't specify one
+ * @param {string} applicationId - Vonage application ID
+ * @param {string|null} name - Template name, or null to go back to the defaults
+ */
+function setApplicationFlow(applicationId, name) {
+  if (name && !templates.has(name)) {
+    throw new Error(`Unknown call flow: ${name}`);
+  }
+
+  if (name) {
+    applicationFlows.set(applicationId, name);
+  } else {
+    applicationFlows.delete(applicationId);
+  }
+  saveFlows();
+}
+
+/**
+ * List the applications that use a specific flow
+ * @returns {Object<string, string>} - Template name keyed by application ID
+ */
+function listApplicationFlows() {
+  return Object.fromEntries(applicationFlows);
+}
+
+/**
+ * Get the flow to use for a call
+ * @param {string} [applicationId] - Vonage application ID
+ * @param {string} direction - 'inbound' or 'outbound'
+ * @returns {string} - Template name
+ */
+function getApplicationFlow(applicationId, direction) {
+  return applicationFlows.get(applicationId) || (direction === 'inbound' ? DEFAULT_INBOUND_FLOW : DEFAULT_OUTBOUND_FLOW);
+}
+
+// URLs and names every flow can reference
+function buildContext({ baseUrl, callUuid, applicationId }) {
+  return {
+    baseUrl,
+    eventUrl: `${baseUrl}/api/vonage/event`,
+    recordingUrl: `${baseUrl}/api/vonage/recordings?call_uuid=${encodeURIComponent(callUuid || '')}`,
+    mediaUrl: `${baseUrl.replace(/^http/, 'ws')}/api/vonage/media?token=${createMediaToken(callUuid)}`,
+    agentInputUrl: `${baseUrl}/api/vonage/agent/input`,
+    callUuid: callUuid || '',
+    applicationId: applicationId || '',
+    conversationName: `conversation-${Date.now()}`
+  };
+}
+
+function exampleContext() {
+  return buildContext({ baseUrl: 'https://example.com', callUuid: 'example-call-uuid', applicationId: 'example-application-id' });
+}
+
+// Replace placeholders throughout a value; a string that is only a placeholder takes the variable's type
+function fill(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([a-zA-Z][a-zA-Z0-9]*)\s*\}\}$/);
+    if (whole && values[whole[1]] !== undefined) {
+      return values[whole[1]];
+    }
+    return value.replace(PLACEHOLDER, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fill(item, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item, values)]));
+  }
+  return value;
+}
+
+function findPlaceholders(value) {
+  if (typeof value === 'string') {
+    return Array.from(value.matchAll(PLACEHOLDER), match => match[1]);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(findPlaceholders);
+  }
+  return [];
+}
+
+function validateAction(action, index) {
+  const schema = ACTION_SCHEMAS[action.action];
+  if (!schema) {
+    return [`ncco[${index}]: unknown action "${action.action}" (expected one of ${Object.keys(ACTION_SCHEMAS).join(', ')})`];
+  }
+
+  const errors = [];
+  schema.required.forEach(field => {
+    if (action[field] === undefined || action[field] === '') {
+      errors.push(`ncco[${index}] ${action.action}: ${field} is required`);
+    }
+  });
+
+  Object.entries(action).forEach(([field, value]) => {
+    if (field === 'action') return;
+
+    const type = schema.fields[field];
+    if (!type) {
+      errors.push(`ncco[${index}] ${action.action}: unknown field ${field}`);
+    } else if (type === 'array' ? !Array.isArray(value) : (typeof value !== type || Array.isArray(value))) {
+      errors.push(`ncco[${index}] ${action.action}: ${field} must be ${/^[ao]/.test(type) ? 'an' : 'a'} ${type}`);
+    }
+  });
+
+  return errors;
+}
+
+function loadFlows() {
+  if (!fs.existsSync(FLOWS_FILE)) {
+    return;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(FLOWS_FILE, 'utf8'));
+    (stored.templates || []).forEach(template => templates.set(template.name, template));
+    Object.entries(stored.applications || {}).forEach(([applicationId, name]) => applicationFlows.set(applicationId, name));
+  } catch (error) {
+    console.error(`Failed to read call flows ${FLOWS_FILE}:`, error.message);
+  }
+}
+
+function saveFlows() {
+  // Unedited built-in templates come from the code, so only store the rest
+  const edited = Array.from(templates.values()).filter(template => {
+    const builtIn = BUILT_IN_TEMPLATES.find(original => original.name === template.name);
+    return !builtIn || JSON.stringify({ ...builtIn, builtIn: true }) !== JSON.stringify(template);
+  });
+
+  fs.mkdirSync(path.dirname(FLOWS_FILE), { recursive: true });
+  fs.writeFileSync(FLOWS_FILE, JSON.stringify({
+    templates: edited,
+    applications: Object.fromEntries(applicationFlows)
+  }, null, 2));
+}
+
+module.exports = {
+  validateTemplate,
+  saveTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  renderFlow,
+  renderTemplate,
+  setApplicationFlow,
+  listApplicationFlows,
+  getApplicationFlow
+};
@@ -0,0 +1,189 @@
+/**
+ * Call state service
+ * Tracks the state of each Vonage call from the event webhook and notifies
+ * subscribers (e.g. the browser over Server-Sent Events) of every transition
+ */
+
+const EventEmitter = require('events');
+
+// Statuses after which a call can't change any more
+const TERMINAL_STATUSES = ['completed', 'failed', 'busy', 'timeout', 'rejected', 'cancelled', 'unanswered'];
+
+// Allowed transitions; anything else (e.g. a late "ringing" after "answered") is ignored
+const TRANSITIONS = {
+  started: ['ringing', 'answered', ...TERMINAL_STATUSES],
+  ringing: ['answered', ...TERMINAL_STATUSES],
+  answered: ['completed', 'failed']
+};
+
+// Finished calls are forgotten after this long
+const FINISHED_CALL_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Calls keyed by call UUID
+const calls = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected browser
+
+/**
+ * Register a call we have just started, before Vonage sends any events for it
+ * @param {Object} call - Call details
+ * @param {string} call.uuid - Call UUID
+ * @param {string} [call.to] - Number being called
+ * @param {string} [call.from] - Caller ID
+ * @param {string} [call.conversationUuid] - Conversation UUID
+ * @param {string} [call.direction] - 'outbound' (default) or 'inbound'
+ * @returns {Object} - Call state
+ */
+function trackCall({ uuid, to, from, conversationUuid, direction }) {
+  if (calls.has(uuid)) {
+    return calls.get(uuid);
+  }
+
+  const now = new Date().toISOString();
+  const call = {
+    uuid,
+    conversationUuid: conversationUuid || null,
+    direction: direction || 'outbound',
+    from: from || null,
+    to: to || null,
+    status: 'started',
+    startedAt: now,
+    answeredAt: null,
+    endedAt: null,
+    duration: null,
+    disposition: null,
+    history: [{ status: 'started', timestamp: now }]
+  };
+  calls.set(uuid, call);
+  emitter.emit('call', call);
+  return call;
+}
+
+/**
+ * Apply a Vonage call event webhook payload
+ * @param {Object} event - Event webhook body
+ * @returns {Object|null} - Updated call state, or null if the event didn't change it
+ */
+function handleEvent(event) {
+  const { uuid, status } = event;
+  if (!uuid || !status) {
+    return null;
+  }
+
+  removeFinishedCalls();
+
+  const timestamp = event.timestamp || new Date().toISOString();
+  let call = calls.get(uuid);
+
+  if (!call) {
+    // First we've heard of this call (e.g. an inbound call)
+    call = trackCall({
+      uuid,
+      to: event.to,
+      from: event.from,
+      conversationUuid: event.conversation_uuid,
+      direction: event.direction
+    });
+    if (status === 'started') {
+      return call;
+    }
+  }
+
+  if (call.status === status) {
+    return null;
+  }
+
+  const allowed = TRANSITIONS[call.status] || [];
+  if (!allowed.includes(status)) {
+    console.warn(`Ignoring call ${uuid} transition from ${call.status} to ${status}`);
+    return null;
+  }
+
+  call.status = status;
+  call.conversationUuid = call.conversationUuid || event.conversation_uuid || null;
+  call.history.push({ status, timestamp });
+
+  if (status === 'answered') {
+    call.answeredAt = timestamp;
+  }
+
+  if (TERMINAL_STATUSES.includes(status)) {
+    call.endedAt = event.end_time || timestamp;
+    call.duration = event.duration !== undefined ? Number(event.duration) : null;
+    call.disposition = event.detail ? `${status} (${event.detail})` : status;
+  }
+
+  emitter.emit('call', call);
+  return call;
+}
+
+/**
+ * Get the state of a call
+ * @param {string} uuid - Call UUID
+ * @returns {Object|null} - Call state
+ */
+function getCall(uuid) {
+  return calls.get(uuid) || null;
+}
+
+/**
+ * Find the call that belongs to a conversation
+ * @param {string} conversationUuid - Conversation UUID
+ * @returns {Object|null} - Call state
+ */
+function findCallByConversation(conversationUuid) {
+  if (!conversationUuid) return null;
+  for (const call of calls.values()) {
+    if (call.conversationUuid === conversationUuid) {
+      return call;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get every tracked call
+ * @returns {Array<Object>} - Call states, oldest first
+ */
+function getCalls() {
+  removeFinishedCalls();
+  return Array.from(calls.values());
+}
+
+/**
+ * Subscribe to call state transitions
+ * @param {function(Object): void} listener - Called with the call state after each transition
+ * @returns {function(): void} - Unsubscribe function
+ */
+function subscribe(listener) {
+  emitter.on('call', listener);
+  return () => emitter.off('call', listener);
+}
+
+/**
+ * Check whether a status is final
+ * @param {string} status - Call status
+ * @returns {boolean} - Whether the call has ended
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function removeFinishedCalls() {
+  const now = Date.now();
+  calls.forEach((call, uuid) => {
+    if (call.endedAt && now - new Date(call.endedAt).getTime() > FINISHED_CALL_TTL_MS) {
+      calls.delete(uuid);
+    }
+  });
+}
+
+module.exports = {
+  trackCall,
+  handleEvent,
+  getCall,
+  findCallByConversation,
+  getCalls,
+  subscribe,
+  isTerminal
+};
@@ -0,0 +1,578 @@
+/**
+ * Campaign service
+ * Calls every number in an uploaded CSV with a chosen call flow. A dialer queue
+ * places the calls under a concurrency and calls-per-second limit, retries busy
+ * and unanswered numbers, and records each row's outcome from the call events.
+ * Campaigns are saved to CAMPAIGNS_FILE, so their progress and results survive a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const vonageService = require('./vonageService');
+const callFlowService = require('./callFlowService');
+const callStateService = require('./callStateService');
+
+const CAMPAIGNS_FILE = process.env.CAMPAIGNS_FILE || path.join(__dirname, '../../data/campaigns.json');
+
+// Changes are saved at most this often; a busy dialer changes rows several times a second
+const SAVE_DELAY_MS = 1000;
+
+// Defaults and upper bounds for a campaign's dialing limits
+const DEFAULT_MAX_CONCURRENT = 2;
+const DEFAULT_CALLS_PER_SECOND = 1;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_CONCURRENT_LIMIT = 20;
+const CALLS_PER_SECOND_LIMIT = 3; // Vonage's default per-account limit
+const MAX_ROWS = 5000;
+
+// Call results worth trying again later
+const RETRY_STATUSES = ['busy', 'timeout', 'unanswered'];
+
+const DIALER_INTERVAL_MS = 100;
+
+// Attempts without call events for this long are given up on (and retried like an unanswered call)
+const DIAL_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes to start ringing
+const CALL_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour to end once in progress
+
+// CSV columns that hold the number to call
+const NUMBER_COLUMNS = ['number', 'phone', 'to', 'msisdn'];
+
+// Campaigns keyed by ID, and the campaign row each placed call belongs to
+const campaigns = new Map();
+const callRows = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected browser
+
+let dialerTimer = null;
+let saveTimer = null;
+
+callStateService.subscribe(handleCallUpdate);
+loadCampaigns();
+
+/**
+ * Create a campaign from CSV text
+ * @param {Object} options - Campaign options
+ * @param {string} options.name - Campaign name
+ * @param {string} options.csv - CSV with a header row; a number/phone/to column and one column per flow variable
+ * @param {string} options.flow - Call flow template name
+ * @param {string} options.from - Vonage number to call from
+ * @param {string} options.applicationId - Vonage application ID (its private key must be in the credential vault)
+ * @param {string} options.baseUrl - Public base URL of this server, for the call flow's webhooks
+ * @param {number} [options.maxConcurrent] - Calls in progress at once
+ * @param {number} [options.callsPerSecond] - Calls started per second
+ * @param {number} [options.maxAttempts] - Attempts per number, including retries
+ * @param {number} [options.retryDelayMs] - Wait before retrying a busy or unanswered number
+ * @returns {Object} - Campaign
+ */
+function createCampaign(options) {
+  const template = callFlowService.getTemplate(options.flow);
+  if (!template) {
+    throw new Error(`Unknown call flow: ${options.flow}`);
+  }
+
+  const records = parseCsv(options.csv || '');
+  if (records.length < 2) {
+    throw new Error('The CSV needs a header row and at least one number');
+  }
+  if (records.length - 1 > MAX_ROWS) {
+    throw new Error(`Campaigns are limited to ${MAX_ROWS} numbers`);
+  }
+
+  const header = records[0].map(column => column.trim());
+  const numberColumn = header.findIndex(column => NUMBER_COLUMNS.includes(column.toLowerCase()));
+  if (numberColumn === -1) {
+    throw new Error(`The CSV needs a column named ${NUMBER_COLUMNS.join(', ')}`);
+  }
+
+  const rows = records.slice(1)
+    .filter(record => record.some(value => value.trim() !== ''))
+    .map((record, index) => buildRow(index, header, numberColumn, record, template));
+
+  // Catch rows the flow can't render (e.g. a value that breaks the NCCO) before any call is placed
+  rows.forEach(row => {
+    if (row.status !== 'pending') return;
+    try {
+      callFlowService.renderTemplate(template, row.variables, { baseUrl: options.baseUrl });
+    } catch (error) {
+      row.status = 'invalid';
+      row.error = error.message;
+    }
+  });
+
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: options.name || `Campaign ${campaigns.size + 1}`,
+    flow: options.flow,
+    from: String(options.from).replace(/^\+/, ''),
+    applicationId: options.applicationId,
+    baseUrl: options.baseUrl,
+    columns: header,
+    numberColumn,
+    maxConcurrent: clamp(options.maxConcurrent, 1, MAX_CONCURRENT_LIMIT, DEFAULT_MAX_CONCURRENT),
+    callsPerSecond: clamp(options.callsPerSecond, 0.1, CALLS_PER_SECOND_LIMIT, DEFAULT_CALLS_PER_SECOND),
+    maxAttempts: clamp(options.maxAttempts, 1, 10, DEFAULT_MAX_ATTEMPTS),
+    retryDelayMs: clamp(options.retryDelayMs, 0, 24 * 60 * 60 * 1000, DEFAULT_RETRY_DELAY_MS),
+    status: 'draft',
+    createdAt: new Date().toISOString(),
+    lastDialAt: 0,
+    rows
+  };
+
+  campaigns.set(campaign.id, campaign);
+  notify(campaign);
+  return campaign;
+}
+
+/**
+ * Start or resume dialing a campaign
+ * @param {string} id - Campaign ID
+ * @returns {Object} - Campaign
+ */
+function startCampaign(id) {
+  const campaign = requireCampaign(id);
+  if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+    throw new Error(`Campaign is already ${campaign.status}`);
+  }
+
+  campaign.status = 'running';
+  notify(campaign);
+  ensureDialer();
+  return campaign;
+}
+
+/**
+ * Stop placing new calls; calls in progress carry on
+ * @param {string} id - Campaign ID
+ * @returns {Object} - Campaign
+ */
+function pauseCampaign(id) {
+  const campaign = requireCampaign(id);
+  if (campaign.status === 'running') {
+    campaign.status = 'paused';
+    notify(campaign);
+  }
+  return campaign;
+}
+
+/**
+ * Cancel a campaign; numbers not yet called are skipped
+ * @param {string} id - Campaign ID
+ * @returns {Object} - Campaign
+ */
+function cancelCampaign(id) {
+  const campaign = requireCampaign(id);
+  if (campaign.status === 'completed') {
+    return campaign;
+  }
+
+  campaign.status = 'cancelled';
+  campaign.rows.forEach(row => {
+    if (row.status === 'pending' || row.status === 'retrying') {
+      updateRow(row, { status: 'skipped' });
+    }
+  });
+  notify(campaign);
+  return campaign;
+}
+
+/**
+ * Get a campaign with its rows
+ * @param {string} id - Campaign ID
+ * @returns {Object|null} - Campaign
+ */
+function getCampaign(id) {
+  const campaign = campaigns.get(id);
+  return campaign ? toCampaignDetails(campaign) : null;
+}
+
+/**
+ * List campaigns without their rows
+ * @returns {Array<Object>} - Campaign summaries, newest first
+ */
+function listCampaigns() {
+  return Array.from(campaigns.values())
+    .map(toCampaignSummary)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Export a campaign's rows and their outcomes
+ * @param {string} id - Campaign ID
+ * @returns {string} - CSV
+ */
+function exportCampaign(id) {
+  const campaign = requireCampaign(id);
+  const variableColumns = campaign.columns.filter((column, index) => column && index !== campaign.numberColumn);
+
+  const lines = [
+    ['number', ...variableColumns, 'status', 'outcome', 'attempts', 'call_uuid', 'error', 'updated_at']
+  ];
+  campaign.rows.forEach(row => {
+    lines.push([
+      row.number,
+      ...variableColumns.map(column => row.values[column] ?? ''),
+      row.status,
+      row.outcome || '',
+      row.attempts,
+      row.callUuid || '',
+      row.error || '',
+      row.updatedAt
+    ]);
+  });
+
+  return lines.map(line => line.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Subscribe to campaign progress
+ * @param {function(Object): void} listener - Called with the campaign summary after each change
+ * @returns {function(): void} - Unsubscribe function
+ */
+function subscribe(listener) {
+  emitter.on('campaign', listener);
+  return () => emitter.off('campaign', listener);
+}
+
+// Build a row, converting CSV values to the types of the flow's variables
+function buildRow(index, header, numberColumn, record, template) {
+  const values = {};
+  header.forEach((column, columnIndex) => {
+    if (columnIndex !== numberColumn && column) {
+      values[column] = (record[columnIndex] || '').trim();
+    }
+  });
+
+  const row = {
+    index,
+    number: (record[numberColumn] || '').trim().replace(/[\s().-]/g, '').replace(/^\+/, ''),
+    values,
+    variables: {},
+    status: 'pending',
+    attempts: 0,
+    callUuid: null,
+    outcome: null,
+    error: null,
+    nextAttemptAt: 0,
+    attemptDeadline: 0,
+    updatedAt: new Date().toISOString()
+  };
+
+  if (!/^\d{6,15}$/.test(row.number)) {
+    row.status = 'invalid';
+    row.error = 'Not a phone number';
+    return row;
+  }
+
+  // Columns that aren't flow variables stay in the export but aren't sent to the flow
+  for (const [column, value] of Object.entries(values)) {
+    const definition = template.variables[column];
+    if (!definition || value === '') continue;
+
+    if (definition.type === 'number') {
+      if (isNaN(Number(value))) {
+        row.status = 'invalid';
+        row.error = `${column} must be a number`;
+        return row;
+      }
+      row.variables[column] = Number(value);
+    } else if (definition.type === 'boolean') {
+      row.variables[column] = ['true', 'yes', '1'].includes(value.toLowerCase());
+    } else {
+      row.variables[column] = value;
+    }
+  }
+
+  return row;
+}
+
+function ensureDialer() {
+  if (!dialerTimer) {
+    dialerTimer = setInterval(dialNext, DIALER_INTERVAL_MS);
+  }
+}
+
+// Start as many calls as each running campaign's limits allow
+// Runs while any campaign is running or still has calls in progress, which a paused or cancelled one can
+function dialNext() {
+  const now = Date.now();
+  let working = 0;
+
+  campaigns.forEach(campaign => {
+    // A lost webhook would otherwise hold a concurrency slot forever
+    campaign.rows.forEach(row => {
+      if (isActive(row) && row.attemptDeadline <= now) {
+        console.warn(`Campaign ${campaign.id} gave up waiting for the call to ${row.number}`);
+        callRows.delete(row.callUuid);
+        finishAttempt(campaign, row, 'timeout', 'No call events before the deadline');
+      }
+    });
+
+    const active = campaign.rows.filter(isActive).length;
+    if (campaign.status !== 'running') {
+      if (active > 0) working++;
+      return;
+    }
+    working++;
+
+    if (active >= campaign.maxConcurrent || now - campaign.lastDialAt < 1000 / campaign.callsPerSecond) {
+      return;
+    }
+
+    const row = campaign.rows.find(candidate => {
+      return candidate.status === 'pending' || (candidate.status === 'retrying' && candidate.nextAttemptAt <= now);
+    });
+
+    if (row) {
+      campaign.lastDialAt = now;
+      dialRow(campaign, row);
+    } else if (active === 0 && !campaign.rows.some(candidate => candidate.status === 'retrying')) {
+      campaign.status = 'completed';
+      notify(campaign);
+    }
+  });
+
+  if (working === 0) {
+    clearInterval(dialerTimer);
+    dialerTimer = null;
+  }
+}
+
+function isActive(row) {
+  return row.status === 'dialing' || row.status === 'in-progress';
+}
+
+async function dialRow(campaign, row) {
+  const attempt = row.attempts + 1;
+  updateRow(row, { status: 'dialing', attempts: attempt, callUuid: null, error: null, attemptDeadline: Date.now() + DIAL_TIMEOUT_MS });
+  notify(campaign);
+
+  try {
+    const ncco = callFlowService.renderFlow(campaign.flow, row.variables, { baseUrl: campaign.baseUrl, applicationId: campaign.applicationId });
+    const call = await vonageService.startCall(row.number, campaign.from, ncco, campaign.applicationId);
+
+    // The attempt timed out while the request was in flight
+    if (row.status !== 'dialing' || row.attempts !== attempt) return;
+
+    row.callUuid = call.uuid;
+    callRows.set(call.uuid, { campaignId: campaign.id, rowIndex: row.index });
+
+    // Events that arrived before the call UUID was known are already in the call's state, so catch up on them
+    handleCallUpdate(callStateService.trackCall({ uuid: call.uuid, to: row.number, from: campaign.from, conversationUuid: call.conversation_uuid }));
+  } catch (error) {
+    console.error(`Campaign ${campaign.id} failed to call ${row.number}:`, error.response?.data || error.message);
+    if (row.status === 'dialing' && row.attempts === attempt) {
+      finishAttempt(campaign, row, 'failed', error.response?.data?.title || error.message);
+    }
+  }
+}
+
+// Record a call event against the campaign row that placed the call
+function handleCallUpdate(call) {
+  const link = callRows.get(call.uuid);
+  if (!link) return;
+
+  const campaign = campaigns.get(link.campaignId);
+  const row = campaign?.rows[link.rowIndex];
+  if (!row || row.callUuid !== call.uuid) return;
+
+  if (callStateService.isTerminal(call.status)) {
+    callRows.delete(call.uuid);
+    finishAttempt(campaign, row, call.status, call.status === 'completed' ? null : call.disposition);
+  } else if (call.status === 'answered' || call.status === 'ringing') {
+    updateRow(row, { status: 'in-progress', outcome: call.status, attemptDeadline: Date.now() + CALL_TIMEOUT_MS });
+    notify(campaign);
+  }
+}
+
+function finishAttempt(campaign, row, outcome, error) {
+  const canRetry = RETRY_STATUSES.includes(outcome) && row.attempts < campaign.maxAttempts && campaign.status !== 'cancelled';
+
+  if (outcome === 'completed') {
+    updateRow(row, { status: 'completed', outcome, error: null });
+  } else if (canRetry) {
+    updateRow(row, { status: 'retrying', outcome, error, nextAttemptAt: Date.now() + campaign.retryDelayMs });
+  } else {
+    updateRow(row, { status: 'failed', outcome, error });
+  }
+
+  notify(campaign);
+  if (campaign.status === 'running') {
+    ensureDialer();
+  }
+}
+
+function updateRow(row, changes) {
+  Object.assign(row, changes, { updatedAt: new Date().toISOString() });
+}
+
+function requireCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (!campaign) {
+    throw new Error(`Unknown campaign: ${id}`);
+  }
+  return campaign;
+}
+
+function notify(campaign) {
+  emitter.emit('campaign', toCampaignSummary(campaign));
+  scheduleSave();
+}
+
+function toCampaignSummary(campaign) {
+  const counts = {};
+  campaign.rows.forEach(row => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  });
+
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    flow: campaign.flow,
+    from: campaign.from,
+    applicationId: campaign.applicationId,
+    maxConcurrent: campaign.maxConcurrent,
+    callsPerSecond: campaign.callsPerSecond,
+    maxAttempts: campaign.maxAttempts,
+    retryDelayMs: campaign.retryDelayMs,
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    total: campaign.rows.length,
+    counts
+  };
+}
+
+function toCampaignDetails(campaign) {
+  return {
+    ...toCampaignSummary(campaign),
+    columns: campaign.columns.filter((column, index) => column && index !== campaign.numberColumn),
+    rows: campaign.rows.map(({ nextAttemptAt, attemptDeadline, ...row }) => row)
+  };
+}
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || isNaN(number)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, number));
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Excel adds a byte order mark to UTF-8 exports
+  if (records.length > 0 && records[0].length > 0) {
+    records[0][0] = records[0][0].replace(/^﻿/, '');
+  }
+
+  return records;
+}
+
+// Quote values that need it, and neutralize ones a spreadsheet would run as a formula
+// (including a leading tab or carriage return, which some spreadsheets skip before looking for one)
+function toCsvValue(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Restore saved campaigns; running ones carry on dialing, and calls placed before the restart
+// are matched to their rows again (or time out if their events were missed while the server was down)
+function loadCampaigns() {
+  if (!fs.existsSync(CAMPAIGNS_FILE)) {
+    return;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(CAMPAIGNS_FILE, 'utf8'));
+    (stored.campaigns || []).forEach(campaign => {
+      campaigns.set(campaign.id, campaign);
+      campaign.rows.forEach(row => {
+        if (isActive(row) && row.callUuid) {
+          callRows.set(row.callUuid, { campaignId: campaign.id, rowIndex: row.index });
+        }
+      });
+    });
+  } catch (error) {
+    console.error(`Failed to read campaigns ${CAMPAIGNS_FILE}:`, error.message);
+    return;
+  }
+
+  if (Array.from(campaigns.values()).some(campaign => campaign.status === 'running' || campaign.rows.some(isActive))) {
+    ensureDialer();
+  }
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveCampaigns();
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function saveCampaigns() {
+  try {
+    fs.mkdirSync(path.dirname(CAMPAIGNS_FILE), { recursive: true });
+    fs.writeFileSync(CAMPAIGNS_FILE, JSON.stringify({
+      campaigns: Array.from(campaigns.values())
+    }));
+  } catch (error) {
+    console.error(`Failed to save campaigns ${CAMPAIGNS_FILE}:`, error.message);
+  }
+}
+
+module.exports = {
+  createCampaign,
+  startCampaign,
+  pauseCampaign,
+  cancelCampaign,
+  getCampaign,
+  listCampaigns,
+  exportCampaign,
+  subscribe
+};
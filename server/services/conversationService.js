@@ -0,0 +1,117 @@
+/**
+ * Conversation session service
+ * Keeps the turn history of each chat session in memory so the agent
+ * can hold a multi-turn conversation
+ */
+
+const crypto = require('crypto');
+
+// Sessions idle for longer than this are discarded
+const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Maximum number of turns (user + assistant messages) kept per session and sent back to the model
+const MAX_HISTORY_TURNS = 20;
+
+// In-memory store for conversation sessions
+const sessions = new Map();
+
+/**
+ * Get an existing session or create a new one
+ * @param {string} [sessionId] - ID returned by a previous chat call
+ * @returns {{id: string, history: Array<{role: string, content: string}>, updatedAt: number}} - Session
+ */
+function getOrCreateSession(sessionId) {
+  cleanupExpiredSessions();
+
+  if (sessionId && sessions.has(sessionId)) {
+    const session = sessions.get(sessionId);
+    session.updatedAt = Date.now();
+    return session;
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    history: [],
+    updatedAt: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Get the history to send to the model for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Array<{role: string, content: string}>} - Most recent turns, oldest first
+ */
+function getHistory(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return [];
+  }
+  return session.history.slice(-MAX_HISTORY_TURNS);
+}
+
+/**
+ * Append a turn to a session's history
+ * @param {string} sessionId - Session ID
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ */
+function addTurn(sessionId, role, content) {
+  const session = sessions.get(sessionId);
+  if (!session || !content) {
+    return;
+  }
+  session.history.push({ role, content });
+  // Drop the oldest turns so a long-running session cannot grow without bound
+  if (session.history.length > MAX_HISTORY_TURNS) {
+    session.history.splice(0, session.history.length - MAX_HISTORY_TURNS);
+  }
+  session.updatedAt = Date.now();
+}
+
+/**
+ * Replace the assistant's last reply with the part the user heard before speaking over it
+ * @param {string} sessionId - Session ID
+ * @param {string} heardText - Start of the reply that was played, empty if none of it was
+ */
+function truncateLastReply(sessionId, heardText) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+
+  // The reply may not have been recorded at all if its generation was cancelled
+  const lastTurn = session.history[session.history.length - 1];
+  if (lastTurn?.role === 'assistant') {
+    session.history.pop();
+  }
+  addTurn(sessionId, 'assistant', heardText);
+}
+
+/**
+ * Delete a session and its history
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - Whether the session existed
+ */
+function deleteSession(sessionId) {
+  return sessions.delete(sessionId);
+}
+
+// Remove sessions that have been idle for too long
+function cleanupExpiredSessions() {
+  const now = Date.now();
+  sessions.forEach((session, id) => {
+    if (now - session.updatedAt > SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  });
+}
+
+module.exports = {
+  getOrCreateSession,
+  getHistory,
+  addTurn,
+  truncateLastReply,
+  deleteSession
+};
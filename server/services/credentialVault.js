@@ -0,0 +1,130 @@
+/**
+ * Credential vault
+ * Keeps Vonage application private keys on the server, encrypted at rest with
+ * AES-256-GCM under a master key, so the browser only ever holds an application ID
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VAULT_FILE = process.env.VONAGE_VAULT_FILE || path.join(__dirname, '../../data/vonage-credentials.json');
+
+// Without a master key the vault can't be read back after a restart, so it is kept in memory only
+const PERSISTENT = Boolean(process.env.VONAGE_VAULT_KEY);
+const MASTER_KEY = PERSISTENT
+  ? crypto.scryptSync(process.env.VONAGE_VAULT_KEY, 'vonage-credential-vault', 32)
+  : crypto.randomBytes(32);
+
+if (!PERSISTENT) {
+  console.warn('VONAGE_VAULT_KEY is not set: application credentials will be lost when the server restarts');
+}
+
+// Encrypted records keyed by application ID
+const applications = loadVault();
+
+/**
+ * Store an application's private key
+ * @param {string} applicationId - Vonage application ID
+ * @param {string} privateKey - PEM private key returned when the application was created
+ * @param {Object} [details] - Non-secret details to list alongside it
+ * @param {string} [details.name] - Application name
+ */
+function storeApplication(applicationId, privateKey, details = {}) {
+  applications.set(applicationId, {
+    id: applicationId,
+    name: details.name || null,
+    createdAt: new Date().toISOString(),
+    privateKey: encrypt(privateKey)
+  });
+  saveVault();
+}
+
+/**
+ * Check whether the vault holds credentials for an application
+ * @param {string} applicationId - Vonage application ID
+ * @returns {boolean} - Whether the application is known
+ */
+function hasApplication(applicationId) {
+  return applications.has(applicationId);
+}
+
+/**
+ * Decrypt an application's private key
+ * @param {string} applicationId - Vonage application ID
+ * @returns {string} - PEM private key
+ */
+function getPrivateKey(applicationId) {
+  const record = applications.get(applicationId);
+  if (!record) {
+    throw new Error(`No credentials stored for application ${applicationId}`);
+  }
+  return decrypt(record.privateKey);
+}
+
+/**
+ * List the stored applications without their keys
+ * @returns {Array<{id: string, name: string|null, createdAt: string}>} - Stored applications
+ */
+function listApplications() {
+  return Array.from(applications.values()).map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+}
+
+/**
+ * Forget an application's credentials
+ * @param {string} applicationId - Vonage application ID
+ * @returns {boolean} - Whether the application was stored
+ */
+function removeApplication(applicationId) {
+  const removed = applications.delete(applicationId);
+  if (removed) {
+    saveVault();
+  }
+  return removed;
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', MASTER_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', MASTER_KEY, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function loadVault() {
+  if (!PERSISTENT || !fs.existsSync(VAULT_FILE)) {
+    return new Map();
+  }
+
+  try {
+    const records = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'));
+    return new Map(records.map(record => [record.id, record]));
+  } catch (error) {
+    console.error(`Failed to read credential vault ${VAULT_FILE}:`, error.message);
+    return new Map();
+  }
+}
+
+function saveVault() {
+  if (!PERSISTENT) return;
+
+  fs.mkdirSync(path.dirname(VAULT_FILE), { recursive: true });
+  fs.writeFileSync(VAULT_FILE, JSON.stringify(Array.from(applications.values()), null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+  storeApplication,
+  hasApplication,
+  getPrivateKey,
+  listApplications,
+  removeApplication
+};
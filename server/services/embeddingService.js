@@ -0,0 +1,123 @@
+/**
+ * Embedding service
+ * Turns text into vectors for knowledge base search through a pluggable provider:
+ * OpenAI embeddings by default, or a local word-hashing model that needs no API calls
+ * (EMBEDDING_PROVIDER=local). Vectors from different providers can't be compared, so
+ * every result says which provider made it.
+ */
+
+const crypto = require('crypto');
+const openaiService = require('./openaiService');
+
+// Texts sent to a provider per request
+const BATCH_SIZE = 64;
+
+// Size of the local model's vectors; words and word pairs are hashed into this many buckets
+const LOCAL_DIMENSIONS = 1024;
+
+// Words too common to say anything about what a passage is about
+const STOP_WORDS = new Set(('a an and are as at be but by can do does for from has have how i if in is it its ' +
+  'me my of on or our so that the their them then there these they this to us was we were what when where which ' +
+  'who will with you your').split(' '));
+
+// Registered embedding providers, keyed by name
+const providers = new Map();
+
+/**
+ * Register an embedding provider
+ * @param {string} name - Provider name, selected with the EMBEDDING_PROVIDER environment variable
+ * @param {{embed: function(Array<string>): Promise<Array<Array<number>>>}} provider - Provider implementation
+ */
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+// OpenAI is the default provider
+registerProvider('openai', {
+  embed: (texts) => openaiService.createEmbeddings(texts)
+});
+
+// Local provider: hashed word and word-pair counts, so similar wording gives similar vectors
+registerProvider('local', {
+  embed: async (texts) => texts.map(embedLocally)
+});
+
+/**
+ * Name of the configured provider
+ * @returns {string} - Provider name
+ */
+function getProviderName() {
+  return process.env.EMBEDDING_PROVIDER || 'openai';
+}
+
+/**
+ * Embed texts with the configured provider
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<{vectors: Array<Array<number>>, provider: string}>} - Unit-length vectors in the order of the texts, and the provider that made them
+ */
+async function embed(texts) {
+  const providerName = getProviderName();
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+    const batch = await provider.embed(texts.slice(start, start + BATCH_SIZE));
+    vectors.push(...batch.map(normalize));
+  }
+
+  return { vectors, provider: providerName };
+}
+
+/**
+ * Cosine similarity of two unit-length vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} - Similarity from -1 to 1
+ */
+function similarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+function embedLocally(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  const counts = new Map();
+  features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+  counts.forEach((count, feature) => {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    // A second hash bit picks the sign, so colliding features tend to cancel out rather than add up
+    const sign = hash[4] & 1 ? 1 : -1;
+    vector[hash.readUInt32LE(0) % LOCAL_DIMENSIONS] += sign * (1 + Math.log(count));
+  });
+
+  return vector;
+}
+
+// Crude suffix stripping, so "opening", "opens" and "opened" count as the same word
+function stem(word) {
+  return word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  embed,
+  similarity
+};
@@ -0,0 +1,311 @@
+/**
+ * Knowledge base
+ * Company documents the agent answers from. Uploaded text, markdown and PDF files are split into
+ * overlapping chunks, embedded (see embeddingService) and kept in a local vector index that is
+ * saved to KNOWLEDGE_BASE_FILE. Each user turn retrieves the most similar chunks, which are added
+ * to the prompt as numbered sources the reply can cite as [1], [2], ...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const embeddingService = require('./embeddingService');
+const { extractPdfText } = require('./pdfText');
+
+const INDEX_FILE = process.env.KNOWLEDGE_BASE_FILE || path.join(__dirname, '../../data/knowledge-base.json');
+
+// Chunks are cut at paragraph or sentence boundaries near this size, repeating a little of the previous chunk
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+
+// Chunks retrieved per turn, and the similarity a chunk needs to count as relevant
+const TOP_K = Number(process.env.KNOWLEDGE_TOP_K) || 4;
+const MIN_SCORE = process.env.KNOWLEDGE_MIN_SCORE ? Number(process.env.KNOWLEDGE_MIN_SCORE) : 0.25;
+
+// Length of the excerpt returned with each citation
+const EXCERPT_LENGTH = 240;
+
+// Document types by file extension
+const DOCUMENT_TYPES = {
+  '.txt': 'text',
+  '.text': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.pdf': 'pdf'
+};
+
+const MIME_TYPES = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'application/pdf': 'pdf'
+};
+
+// Documents keyed by ID, each with its chunks and their vectors
+const documents = loadIndex();
+
+// Documents embedded by another provider are re-embedded before the next search
+let reindexing = null;
+
+/**
+ * Get the type of a document from its file name or MIME type
+ * @param {string} fileName - File name
+ * @param {string} [mimeType] - MIME type
+ * @returns {string|null} - 'text', 'markdown' or 'pdf', or null if unsupported
+ */
+function getDocumentType(fileName, mimeType) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  return DOCUMENT_TYPES[extension] || MIME_TYPES[(mimeType || '').split(';')[0].trim().toLowerCase()] || null;
+}
+
+/**
+ * Add a document: extract its text, chunk it and embed the chunks
+ * @param {Object} upload - Uploaded file
+ * @param {string} upload.name - File name, shown in citations
+ * @param {Buffer} upload.buffer - File contents
+ * @param {string} [upload.mimeType] - MIME type, used when the extension doesn't give the type
+ * @returns {Promise<Object>} - The document's details (see listDocuments)
+ * @throws {Error} If the type is unsupported or the file has no text
+ */
+async function addDocument({ name, buffer, mimeType }) {
+  const type = getDocumentType(name, mimeType);
+  if (!type) {
+    throw new Error('Unsupported document type: upload a .txt, .md or .pdf file');
+  }
+
+  const text = type === 'pdf' ? extractPdfText(buffer) : buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const chunks = chunkText(text, type);
+  if (chunks.length === 0) {
+    throw new Error(type === 'pdf'
+      ? 'No text found in the PDF (scanned documents need OCR first)'
+      : 'The document is empty');
+  }
+
+  const { vectors, provider } = await embeddingService.embed(chunks);
+
+  const document = {
+    id: crypto.randomUUID(),
+    name,
+    type,
+    size: buffer.length,
+    createdAt: new Date().toISOString(),
+    provider,
+    chunks: chunks.map((chunk, index) => ({ text: chunk, vector: vectors[index] }))
+  };
+  documents.set(document.id, document);
+  saveIndex();
+
+  console.log(`Added ${name} to the knowledge base: ${chunks.length} chunks embedded with ${provider}`);
+  return describe(document);
+}
+
+/**
+ * List the documents in the knowledge base
+ * @returns {Array<{id: string, name: string, type: string, size: number, createdAt: string, provider: string, chunkCount: number}>} - Documents, newest first
+ */
+function listDocuments() {
+  return Array.from(documents.values())
+    .map(describe)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Remove a document and its chunks
+ * @param {string} id - Document ID
+ * @returns {boolean} - Whether the document existed
+ */
+function deleteDocument(id) {
+  const deleted = documents.delete(id);
+  if (deleted) {
+    saveIndex();
+  }
+  return deleted;
+}
+
+/**
+ * Find the chunks most similar to a query
+ * @param {string} query - Text to search for (e.g. the user's message)
+ * @param {Object} [options] - Search options
+ * @param {number} [options.topK] - Most chunks to return (defaults to KNOWLEDGE_TOP_K or 4)
+ * @param {number} [options.minScore] - Least similarity to include (defaults to KNOWLEDGE_MIN_SCORE or 0.25)
+ * @returns {Promise<Array<{documentId: string, documentName: string, chunkIndex: number, text: string, score: number}>>} - Best matches first
+ */
+async function search(query, { topK = TOP_K, minScore = MIN_SCORE } = {}) {
+  if (documents.size === 0 || !query || !query.trim()) {
+    return [];
+  }
+
+  await reindexStaleDocuments();
+  const { vectors: [queryVector] } = await embeddingService.embed([query]);
+
+  const matches = [];
+  documents.forEach(document => {
+    document.chunks.forEach((chunk, chunkIndex) => {
+      const score = embeddingService.similarity(queryVector, chunk.vector);
+      if (score >= minScore) {
+        matches.push({ documentId: document.id, documentName: document.name, chunkIndex, text: chunk.text, score });
+      }
+    });
+  });
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+/**
+ * Retrieve sources for a user turn, numbered for citation
+ * Never throws: without the knowledge base the agent can still answer
+ * @param {string} message - User message
+ * @returns {Promise<Array<{index: number, documentId: string, documentName: string, chunkIndex: number, text: string, excerpt: string, score: number}>>} - Sources, numbered from 1
+ */
+async function retrieve(message) {
+  try {
+    const matches = await search(message);
+    return matches.map((match, i) => ({
+      index: i + 1,
+      ...match,
+      excerpt: match.text.length > EXCERPT_LENGTH ? `${match.text.slice(0, EXCERPT_LENGTH - 3)}...` : match.text,
+      score: Math.round(match.score * 1000) / 1000
+    }));
+  } catch (error) {
+    console.error('Knowledge base search failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Sources without their full text, for sending to the client
+ * @param {Array<Object>} sources - Sources from retrieve
+ * @returns {Array<{index: number, documentId: string, documentName: string, chunkIndex: number, excerpt: string, score: number}>} - Citations
+ */
+function toCitations(sources) {
+  return sources.map(({ text, ...citation }) => citation);
+}
+
+/**
+ * Remove citation markers such as [1] or [2, 3] from text that will be spoken
+ * @param {string} text - Reply text
+ * @returns {string} - Text without markers
+ */
+function removeCitationMarkers(text) {
+  return text.replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '');
+}
+
+// Split text into chunks of about CHUNK_SIZE characters
+// Markdown headings start a new chunk, and the chunks under a heading begin with it for context
+function chunkText(text, type) {
+  const sections = [];
+  let current = { heading: '', blocks: [] };
+
+  text.replace(/\r\n?/g, '\n').split(/\n\s*\n|\n(?=#{1,6}\s)/).forEach(block => {
+    const trimmed = block.trim();
+    if (!trimmed) return;
+
+    if (type === 'markdown' && /^#{1,6}\s/.test(trimmed)) {
+      sections.push(current);
+      const [heading, ...rest] = trimmed.split('\n');
+      current = { heading: heading.replace(/^#+\s*/, ''), blocks: rest.length ? [rest.join('\n')] : [] };
+    } else {
+      current.blocks.push(trimmed);
+    }
+  });
+  sections.push(current);
+
+  return sections.flatMap(({ heading, blocks }) => {
+    // Break blocks longer than a chunk into sentences, and sentences longer than a chunk into pieces
+    const pieces = blocks.flatMap(block => {
+      if (block.length <= CHUNK_SIZE) return [block];
+      return (block.match(/[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)\s*/g) || [block])
+        .flatMap(sentence => sentence.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g')))
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+    });
+
+    const chunks = [];
+    let chunk = [];
+    let length = 0;
+
+    pieces.forEach(piece => {
+      if (length + piece.length > CHUNK_SIZE && chunk.length > 0) {
+        chunks.push(chunk);
+        // Carry the last pieces over while they fit in the overlap
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = chunk.length - 1; i >= 0 && overlapLength + chunk[i].length <= CHUNK_OVERLAP; i--) {
+          overlap.unshift(chunk[i]);
+          overlapLength += chunk[i].length;
+        }
+        chunk = overlap;
+        length = overlapLength;
+      }
+      chunk.push(piece);
+      length += piece.length;
+    });
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+
+    return chunks.map(parts => (heading ? `${heading}\n${parts.join('\n')}` : parts.join('\n')));
+  });
+}
+
+// Re-embed documents whose vectors came from a different provider than the configured one
+function reindexStaleDocuments() {
+  const provider = embeddingService.getProviderName();
+  const stale = Array.from(documents.values()).filter(document => document.provider !== provider);
+  if (stale.length === 0) {
+    return Promise.resolve();
+  }
+
+  if (!reindexing) {
+    reindexing = (async () => {
+      for (const document of stale) {
+        console.log(`Re-embedding ${document.name} with ${provider}`);
+        const { vectors } = await embeddingService.embed(document.chunks.map(chunk => chunk.text));
+        document.chunks.forEach((chunk, index) => {
+          chunk.vector = vectors[index];
+        });
+        document.provider = provider;
+      }
+      saveIndex();
+    })().finally(() => {
+      reindexing = null;
+    });
+  }
+  return reindexing;
+}
+
+function describe({ id, name, type, size, createdAt, provider, chunks }) {
+  return { id, name, type, size, createdAt, provider, chunkCount: chunks.length };
+}
+
+function loadIndex() {
+  if (!fs.existsSync(INDEX_FILE)) {
+    return new Map();
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    return new Map((stored.documents || []).map(document => [document.id, document]));
+  } catch (error) {
+    console.error(`Failed to read knowledge base ${INDEX_FILE}:`, error.message);
+    return new Map();
+  }
+}
+
+function saveIndex() {
+  fs.mkdirSync(path.dirname(INDEX_FILE), { recursive: true });
+  fs.writeFileSync(INDEX_FILE, JSON.stringify({
+    documents: Array.from(documents.values())
+  }));
+}
+
+module.exports = {
+  getDocumentType,
+  addDocument,
+  listDocuments,
+  deleteDocument,
+  search,
+  retrieve,
+  toCitations,
+  removeCitationMarkers
+};
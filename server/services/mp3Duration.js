@@ -0,0 +1,111 @@
+/**
+ * MP3 duration parser
+ * Computes the exact playing time of an MP3 by walking its frame headers,
+ * which works for both constant and variable bitrate files
+ */
+
+// Bitrates in kbps, indexed by the 4-bit bitrate index
+const BITRATES = {
+  v1l1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  v1l2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2l1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  v2l23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates in Hz, indexed by the 2-bit sample rate index
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  2.5: [11025, 12000, 8000] // MPEG 2.5
+};
+
+/**
+ * Get the duration of an MP3 file
+ * @param {Buffer} buffer - MP3 file contents
+ * @returns {number} - Duration in seconds (0 if no frames were found)
+ */
+function getMp3Duration(buffer) {
+  let offset = skipId3v2Tag(buffer);
+  let duration = 0;
+
+  while (offset + 4 <= buffer.length) {
+    const frame = parseFrameHeader(buffer, offset);
+    if (!frame) {
+      // Not a frame boundary (junk or a trailing tag), so resynchronize byte by byte
+      offset++;
+      continue;
+    }
+
+    duration += frame.samples / frame.sampleRate;
+    offset += frame.length;
+  }
+
+  return Math.round(duration * 1000) / 1000;
+}
+
+// ID3v2 tags sit before the first frame; their size is a 28-bit "syncsafe" integer
+function skipId3v2Tag(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Parse the 4-byte frame header at offset, or return null if it isn't a valid frame
+function parseFrameHeader(buffer, offset) {
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+
+  // 11-bit frame sync
+  if (buffer[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (b1 >> 3) & 0x03;
+  const layerBits = (b1 >> 1) & 0x03;
+  const bitrateIndex = (b2 >> 4) & 0x0f;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+  const padding = (b2 >> 1) & 0x01;
+
+  // Reserved values, and "free" bitrate which we can't size
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 2.5);
+  const layer = 4 - layerBits;
+
+  let bitrateTable;
+  if (version === 1) {
+    bitrateTable = layer === 1 ? BITRATES.v1l1 : (layer === 2 ? BITRATES.v1l2 : BITRATES.v1l3);
+  } else {
+    bitrateTable = layer === 1 ? BITRATES.v2l1 : BITRATES.v2l23;
+  }
+
+  const bitrate = bitrateTable[bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else if (layer === 2 || version === 1) {
+    samples = 1152;
+    length = Math.floor(144 * bitrate / sampleRate) + padding;
+  } else {
+    // Layer III in MPEG 2 and 2.5 carries half as many samples per frame
+    samples = 576;
+    length = Math.floor(72 * bitrate / sampleRate) + padding;
+  }
+
+  return { samples, sampleRate, length };
+}
+
+module.exports = {
+  getMp3Duration
+};
@@ -1,36 +1,65 @@
 const OpenAI = require('openai');
+const { toFile } = require('openai');
 const axios = require('axios');
 const crypto = require('crypto');
+const toolRegistry = require('./toolRegistry');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
-// In-memory store for streaming responses
-const streamingResponses = new Map();
+// Rounds of tool calls allowed in one reply before the model has to answer
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Build the messages array for a chat completion
+ * @param {string} message - User message
+ * @param {string} systemPrompt - System prompt to define AI behavior
+ * @param {Array<{role: string, content: string}>} history - Previous turns in the conversation, oldest first
+ * @param {Array<{index: number, documentName: string, text: string}>} [knowledge] - Knowledge base sources for this turn, numbered for citation
+ * @returns {Array<{role: string, content: string}>} - Messages for the OpenAI API
+ */
+function buildMessages(message, systemPrompt, history = [], knowledge = []) {
+  return [
+    {
+      role: "system",
+      content: systemPrompt || "You are a helpful AI assistant who responds concisely and clearly."
+    },
+    ...(knowledge.length > 0 ? [{ role: "system", content: buildKnowledgePrompt(knowledge) }] : []),
+    ...history.map(turn => ({ role: turn.role, content: turn.content })),
+    {
+      role: "user",
+      content: message
+    }
+  ];
+}
+
+// Instructions and numbered sources for answering from the knowledge base
+function buildKnowledgePrompt(knowledge) {
+  const sources = knowledge.map(source => `[${source.index}] ${source.documentName}\n${source.text}`);
+
+  return "Answer from these excerpts of company documents when they are relevant to the question. " +
+    "Cite each excerpt you use by its number in square brackets right after the sentence that uses it, e.g. [1]. " +
+    "If the excerpts don't answer the question, say so rather than guessing.\n\n" +
+    sources.join("\n\n");
+}
 
 /**
  * Get AI response from OpenAI
  * @param {string} message - User message
  * @param {string} systemPrompt - System prompt to define AI behavior
+ * @param {Array<{role: string, content: string}>} [history] - Previous turns in the conversation
+ * @param {Object} [options] - Response options
+ * @param {Array<Object>} [options.knowledge] - Knowledge base sources to answer from (see knowledgeBase.retrieve)
  * @returns {Promise<string>} - AI response
  */
-async function getAIResponse(message, systemPrompt) {
+async function getAIResponse(message, systemPrompt, history = [], options = {}) {
   try {
     // the newest OpenAI model is "gpt-4o" which was released May 13, 2024. do not change this unless explicitly requested by the user
     const response = await openai.chat.completions.create({
       model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt || "You are a helpful AI assistant who responds concisely and clearly."
-        },
-        {
-          role: "user",
-          content: message
-        }
-      ],
+      messages: buildMessages(message, systemPrompt, history, options.knowledge),
       max_tokens: 500,
       temperature: 0.7,
     });
@@ -48,81 +77,134 @@ async function getAIResponse(message, systemPrompt) {
 
 /**
  * Get streaming AI response from OpenAI for lower latency
+ * When tools are enabled the model may call them before it answers: each round of tool calls is run
+ * and its results sent back, streaming the text of every round, until the model replies without tools
  * @param {string} message - User message
  * @param {string} systemPrompt - System prompt to define AI behavior
- * @returns {Promise<{partialText: string, streamId: string, completeTextPromise: Promise<string>}>} - Partial response and promise for complete response
+ * @param {Array<{role: string, content: string}>} [history] - Previous turns in the conversation
+ * @param {Object} [options] - Streaming options
+ * @param {function(string): void} [options.onDelta] - Called with each text delta as it arrives
+ * @param {AbortSignal} [options.signal] - Stops generation; the complete text is then whatever was generated so far
+ * @param {Object} [options.toolContext] - Offers the registered tools available in this conversation context (see toolRegistry)
+ * @param {function(Object): void} [options.onToolCall] - Called when a tool call starts and ends, with {id, name, arguments (JSON string), status: running|done|failed, result, error}
+ * @param {Array<Object>} [options.knowledge] - Knowledge base sources to answer from (see knowledgeBase.retrieve)
+ * @returns {Promise<{streamId: string, completeTextPromise: Promise<string>}>} - Stream ID and promise for the complete response,
+ *   which rejects if the stream fails part way (so no error text is mistaken for the reply)
  */
-async function getStreamingAIResponse(message, systemPrompt) {
+async function getStreamingAIResponse(message, systemPrompt, history = [], options = {}) {
   try {
     // Generate unique ID for this stream
     const streamId = crypto.randomUUID();
     
-    // Start the stream
-    const stream = await openai.chat.completions.create({
+    const messages = buildMessages(message, systemPrompt, history, options.knowledge);
+    const tools = options.toolContext ? toolRegistry.getToolDefinitions(options.toolContext) : [];
+    
+    // One round of the conversation; the last allowed round can't call tools, so the model has to answer
+    const createStream = (round) => openai.chat.completions.create({
       model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt || "You are a helpful AI assistant who responds concisely and clearly."
-        },
-        {
-          role: "user",
-          content: message
-        }
-      ],
+      messages,
       max_tokens: 500,
       temperature: 0.7,
       stream: true,
-    });
+      ...(tools.length > 0 && round < MAX_TOOL_ROUNDS ? { tools } : {}),
+    }, { signal: options.signal });
+    
+    // Start the stream
+    let stream = await createStream(0);
     
     // Variables to track the full response and resolution
     let fullResponse = '';
     let resolveCompleteText;
+    let rejectCompleteText;
     
     // Create promise for the complete text
-    const completeTextPromise = new Promise((resolve) => {
+    const completeTextPromise = new Promise((resolve, reject) => {
       resolveCompleteText = resolve;
+      rejectCompleteText = reject;
     });
+    // A failure can come before the caller awaits the promise; that isn't an unhandled rejection
+    completeTextPromise.catch(() => {});
     
     // Process the stream chunks asynchronously
     (async () => {
       try {
-        // First few words to return immediately (first chunk)
-        let initialChunk = '';
-        let chunkCount = 0;
-        
-        for await (const chunk of stream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          fullResponse += content;
+        for (let round = 0; ; round++) {
+          // Tool calls arrive in pieces, keyed by their index in the response
+          const toolCalls = [];
+          let roundText = '';
+          // Keep the text of separate rounds apart, e.g. "Let me check." and the answer
+          let separator = fullResponse && !/\s$/.test(fullResponse) ? ' ' : '';
+          
+          for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta || {};
+            let content = delta.content || '';
+            
+            if (content) {
+              content = separator + content;
+              separator = '';
+              roundText += content;
+              fullResponse += content;
+              
+              if (options.onDelta) {
+                options.onDelta(content);
+              }
+            }
+            
+            (delta.tool_calls || []).forEach(({ index, id, function: fn }) => {
+              const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+              call.id += id || '';
+              call.name += fn?.name || '';
+              call.arguments += fn?.arguments || '';
+            });
+          }
           
-          // Capture the initial chunk to return immediately
-          if (chunkCount === 0 && content) {
-            initialChunk = content;
+          if (toolCalls.length === 0 || options.signal?.aborted) {
+            break;
           }
           
-          chunkCount++;
+          messages.push({
+            role: 'assistant',
+            content: roundText.trim() || null,
+            tool_calls: toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: call.arguments }
+            }))
+          });
+          
+          for (const call of toolCalls) {
+            messages.push({
+              role: 'tool',
+              tool_call_id: call.id,
+              content: JSON.stringify(await runToolCall(call, options))
+            });
+          }
+          
+          stream = await createStream(round + 1);
+        }
+        
+        // An aborted stream just ends, leaving the text generated so far
+        if (options.signal?.aborted) {
+          console.log(`Stream ${streamId} cancelled after ${fullResponse.length} characters`);
         }
         
         // Resolve the promise with the complete response
         resolveCompleteText(fullResponse.trim());
         
-        // Cleanup the stream record after a delay
-        setTimeout(() => {
-          streamingResponses.delete(streamId);
-        }, 10 * 60 * 1000); // 10 minutes
-        
       } catch (error) {
+        // Cancelling while a follow-up round was being requested
+        if (options.signal?.aborted) {
+          console.log(`Stream ${streamId} cancelled after ${fullResponse.length} characters`);
+          resolveCompleteText(fullResponse.trim());
+          return;
+        }
         console.error('Stream processing error:', error);
-        resolveCompleteText('Sorry, there was an error processing your request.');
+        rejectCompleteText(error);
       }
     })();
     
-    // Add a small delay to ensure we get at least the first chunk
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Return the initial chunk and stream ID
+    // Text arrives through onDelta; the caller gets the stream ID straight away
     return {
-      partialText: fullResponse || 'Processing your request...',
       streamId,
       completeTextPromise
     };
@@ -133,6 +215,28 @@ async function getStreamingAIResponse(message, systemPrompt) {
   }
 }
 
+// Run one tool call from the model, reporting its progress through onToolCall
+// Returns what is sent back to the model: the tool's result, or {error}
+async function runToolCall(call, options) {
+  const report = (update) => {
+    if (options.onToolCall) {
+      options.onToolCall({ id: call.id, name: call.name, ...update });
+    }
+  };
+  
+  report({ status: 'running', arguments: call.arguments });
+  console.log(`Calling tool ${call.name}:`, call.arguments);
+  
+  const outcome = await toolRegistry.executeTool(call.name, call.arguments, options.toolContext);
+  
+  if (outcome.error) {
+    report({ status: 'failed', arguments: call.arguments, error: outcome.error });
+    return { error: outcome.error };
+  }
+  report({ status: 'done', arguments: call.arguments, result: outcome.result });
+  return outcome.result;
+}
+
 /**
  * Process the final response from the streaming API
  * @param {string} streamId - ID of the stream
@@ -153,9 +257,12 @@ async function processFinalResponse(streamId, completeTextPromise) {
  * Convert text to speech using OpenAI TTS API
  * @param {string} text - Text to convert to speech
  * @param {string} voiceType - Voice type (male/female)
+ * @param {Object} [options] - Synthesis options
+ * @param {string} [options.format] - Output format: 'mp3' (default) or 'pcm' (24kHz 16-bit mono little-endian)
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Buffer>} - Audio buffer
  */
-async function textToSpeech(text, voiceType = 'female') {
+async function textToSpeech(text, voiceType = 'female', options = {}) {
   try {
     // Choose the appropriate voice based on the voiceType
     const voice = voiceType === 'male' ? 'onyx' : 'nova';
@@ -164,7 +271,8 @@ async function textToSpeech(text, voiceType = 'female') {
       model: "tts-1",
       voice: voice,
       input: text,
-    });
+      response_format: options.format || 'mp3',
+    }, { signal: options.signal });
 
     // Get the audio data as an ArrayBuffer
     const buffer = await response.arrayBuffer();
@@ -172,14 +280,106 @@ async function textToSpeech(text, voiceType = 'female') {
     // Convert ArrayBuffer to Buffer for Node.js
     return Buffer.from(buffer);
   } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
     console.error('OpenAI TTS API error:', error);
     throw new Error(`Failed to convert text to speech using OpenAI: ${error.message}`);
   }
 }
 
+/**
+ * Transcribe recorded audio using OpenAI Whisper
+ * @param {Buffer} audioBuffer - Audio file contents
+ * @param {string} fileName - File name with an extension Whisper recognizes (e.g. audio.wav)
+ * @param {string} [language] - Language code hint (e.g. en-US)
+ * @returns {Promise<string>} - Transcribed text
+ */
+async function transcribeAudio(audioBuffer, fileName, language) {
+  try {
+    const response = await openai.audio.transcriptions.create({
+      model: "whisper-1",
+      file: await toFile(audioBuffer, fileName),
+      // Whisper expects ISO-639-1 codes, so drop the region
+      language: language ? language.split('-')[0] : undefined,
+    });
+
+    return response.text.trim();
+  } catch (error) {
+    console.error('OpenAI transcription API error:', error);
+    throw new Error(`Failed to transcribe audio using OpenAI: ${error.message}`);
+  }
+}
+
+/**
+ * Summarize a call transcript
+ * @param {string} transcript - Transcript of the call
+ * @returns {Promise<{summary: string, actionItems: Array<string>, sentiment: string, topics: Array<string>}>} - Call summary
+ */
+async function summarizeTranscript(transcript) {
+  try {
+    const response = await openai.chat.completions.create({
+      model: "gpt-4o",
+      messages: [
+        {
+          role: "system",
+          content: "You review phone call transcripts. Reply with a JSON object with these keys: " +
+            "\"summary\" (two or three sentences), \"actionItems\" (array of follow-ups someone agreed to or needs to do, empty if none), " +
+            "\"sentiment\" (the caller's overall sentiment: \"positive\", \"neutral\" or \"negative\") and " +
+            "\"topics\" (array of up to five short lowercase topic tags)."
+        },
+        {
+          role: "user",
+          content: transcript
+        }
+      ],
+      response_format: { type: "json_object" },
+      max_tokens: 500,
+      temperature: 0.2,
+    });
+
+    const result = JSON.parse(response.choices[0].message.content);
+    const toStrings = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+    return {
+      summary: typeof result.summary === 'string' ? result.summary : '',
+      actionItems: toStrings(result.actionItems),
+      sentiment: ['positive', 'neutral', 'negative'].includes(result.sentiment) ? result.sentiment : 'neutral',
+      topics: toStrings(result.topics).slice(0, 5)
+    };
+  } catch (error) {
+    console.error('OpenAI summary API error:', error);
+    throw new Error(`Failed to summarize transcript using OpenAI: ${error.message}`);
+  }
+}
+
+/**
+ * Embed text for semantic search
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} - One unit-length vector per text, in order
+ */
+async function createEmbeddings(texts) {
+  try {
+    const response = await openai.embeddings.create({
+      model: "text-embedding-3-small",
+      input: texts,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  } catch (error) {
+    console.error('OpenAI embeddings API error:', error);
+    throw new Error(`Failed to create embeddings using OpenAI: ${error.message}`);
+  }
+}
+
 module.exports = {
   getAIResponse,
   getStreamingAIResponse,
   processFinalResponse,
-  textToSpeech
+  textToSpeech,
+  transcribeAudio,
+  summarizeTranscript,
+  createEmbeddings
 };
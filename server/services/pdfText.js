@@ -0,0 +1,449 @@
+/**
+ * PDF text extractor
+ * Reads the text of each page, in page order, from its content stream's text-showing operators.
+ * Handles uncompressed and FlateDecode streams, compressed object streams, and fonts with a
+ * ToUnicode map (how most PDF writers make subset and CID fonts readable). Scanned PDFs have
+ * no text to extract, and encrypted PDFs aren't supported.
+ * Parsing runs synchronously in the upload request, so the decompressed streams and the extracted
+ * text are capped: a small compressed stream can otherwise inflate to gigabytes.
+ */
+
+const zlib = require('zlib');
+
+// In a TJ array, a gap wider than this (thousandths of an em) separates two words
+const WORD_GAP = 200;
+
+// Decoded text with more unprintable characters than this is glyph IDs without a ToUnicode map, not text
+const MAX_UNPRINTABLE_RATIO = 0.2;
+
+// Most bytes all of a document's streams may decode to, and most text a document may yield
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 2 * 1024 * 1024;
+
+// WinAnsi characters in the 0x80-0x9f range, which Latin-1 leaves as control codes
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {string} - Text of every page, one line per text line
+ * @throws {Error} If the file isn't a readable PDF, or its streams or text exceed the size limits
+ */
+function extractPdfText(buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error('Not a PDF file');
+  }
+
+  // Bytes the document's streams may still decode to, shared by every stream read below
+  const budget = { remaining: MAX_INFLATED_BYTES };
+
+  const objects = readObjects(buffer, budget);
+  if (Array.from(objects.values()).some(object => /\/Encrypt\b/.test(object.dictionary))) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  let textLength = 0;
+  return findPages(objects)
+    .map(page => {
+      const content = toArray(getEntry(page, '/Contents'))
+        .map(reference => decodeStream(objects.get(referencedNumber(reference)), budget))
+        .join('\n');
+      const text = readTextOperators(content, readFonts(objects, page, budget));
+
+      textLength += text.length;
+      if (textLength > MAX_TEXT_LENGTH) {
+        throw new Error(`The PDF has more than ${MAX_TEXT_LENGTH / (1024 * 1024)} MB of text`);
+      }
+      return text;
+    })
+    .join('\n')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Indirect objects keyed by object number: {dictionary, data} where data is the raw stream, if any
+// Objects packed into compressed object streams are unpacked too
+function readObjects(buffer, budget) {
+  const source = buffer.toString('latin1');
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = header.exec(source)) !== null) {
+    const start = header.lastIndex;
+    const streamStart = source.indexOf('stream', start);
+    const objectEnd = source.indexOf('endobj', start);
+    const end = objectEnd === -1 ? source.length : objectEnd;
+
+    if (streamStart !== -1 && streamStart < end) {
+      // The stream keyword is followed by a single end-of-line
+      const dataStart = streamStart + 6 + (source[streamStart + 6] === '\r' ? 2 : 1);
+      const dataEnd = source.indexOf('endstream', dataStart);
+      if (dataEnd === -1) break;
+      objects.set(Number(match[1]), {
+        dictionary: source.slice(start, streamStart),
+        data: buffer.subarray(dataStart, dataEnd)
+      });
+      header.lastIndex = dataEnd + 9;
+    } else {
+      objects.set(Number(match[1]), { dictionary: source.slice(start, end), data: null });
+      header.lastIndex = end;
+    }
+  }
+
+  // Unpack object streams: a header of "number offset" pairs, then the objects from /First
+  Array.from(objects.values())
+    .filter(object => /\/Type\s*\/ObjStm\b/.test(object.dictionary))
+    .forEach(object => {
+      const content = decodeStream(object, budget);
+      const first = Number(getEntry(object.dictionary, '/First'));
+      if (!content || !first) return;
+
+      const pairs = content.slice(0, first).trim().split(/\s+/).map(Number);
+
+      for (let i = 0; i + 1 < pairs.length; i += 2) {
+        const number = pairs[i];
+        const bodyEnd = i + 3 < pairs.length ? first + pairs[i + 3] : content.length;
+        if (!objects.has(number)) {
+          objects.set(number, { dictionary: content.slice(first + pairs[i + 1], bodyEnd), data: null });
+        }
+      }
+    });
+
+  return objects;
+}
+
+// Page dictionaries in reading order, following the page tree from the catalog
+function findPages(objects) {
+  const catalog = Array.from(objects.values()).find(object => /\/Type\s*\/Catalog\b/.test(object.dictionary));
+  const pages = [];
+  const visited = new Set();
+
+  const visit = (number) => {
+    const node = objects.get(number);
+    if (!node || visited.has(number)) return;
+    visited.add(number);
+
+    if (/\/Type\s*\/Pages\b/.test(node.dictionary)) {
+      toArray(getEntry(node.dictionary, '/Kids')).forEach(kid => visit(referencedNumber(kid)));
+    } else if (/\/Type\s*\/Page\b/.test(node.dictionary)) {
+      pages.push(node.dictionary);
+    }
+  };
+
+  if (catalog) {
+    visit(referencedNumber(getEntry(catalog.dictionary, '/Pages')));
+  }
+
+  // A damaged page tree: fall back to the page objects in file order
+  if (pages.length === 0) {
+    return Array.from(objects.values())
+      .filter(object => /\/Type\s*\/Page\b/.test(object.dictionary))
+      .map(object => object.dictionary);
+  }
+  return pages;
+}
+
+// ToUnicode maps of a page's fonts, keyed by resource name (e.g. /F1)
+// Resources may be inherited from an ancestor in the page tree
+function readFonts(objects, page, budget) {
+  let node = page;
+  let resources = null;
+  while (node && !resources) {
+    resources = resolve(objects, getEntry(node, '/Resources'));
+    node = resolve(objects, getEntry(node, '/Parent'));
+  }
+
+  const fonts = new Map();
+  const fontDictionary = resources ? resolve(objects, getEntry(resources, '/Font')) : null;
+  if (!fontDictionary) return fonts;
+
+  const entries = /(\/[^\s/<>[\]()]+)\s*(\d+\s+\d+\s+R)/g;
+  let match;
+  while ((match = entries.exec(fontDictionary)) !== null) {
+    const font = resolve(objects, match[2]);
+    const toUnicode = font && getEntry(font, '/ToUnicode');
+    if (toUnicode && /R$/.test(toUnicode)) {
+      fonts.set(match[1], parseCMap(decodeStream(objects.get(referencedNumber(toUnicode)), budget)));
+    }
+  }
+
+  return fonts;
+}
+
+// Parse a ToUnicode CMap: the code length and what each character code maps to
+function parseCMap(cmap) {
+  const codeSpace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const map = new Map();
+  const hexToText = (hex) => {
+    const bytes = hexToBytes(hex);
+    return (bytes.length % 2 ? Buffer.concat([Buffer.alloc(1), bytes]) : bytes).swap16().toString('utf16le');
+  };
+
+  (cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || []).forEach(block => {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let match;
+    while ((match = pairs.exec(block)) !== null) {
+      map.set(parseInt(match[1], 16), hexToText(match[2]));
+    }
+  });
+
+  (cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || []).forEach(block => {
+    const ranges = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    let match;
+    while ((match = ranges.exec(block)) !== null) {
+      const low = parseInt(match[1], 16);
+      const high = parseInt(match[2], 16);
+
+      if (match[3].startsWith('[')) {
+        (match[3].match(/<[0-9a-fA-F]*>/g) || []).forEach((hex, i) => {
+          map.set(low + i, hexToText(hex.slice(1, -1)));
+        });
+      } else {
+        // The destination's last character counts up through the range
+        const destination = hexToText(match[3].slice(1, -1));
+        for (let code = low; code <= high && code - low < 0x10000; code++) {
+          map.set(code, destination.slice(0, -1) + String.fromCharCode(destination.charCodeAt(destination.length - 1) + code - low));
+        }
+      }
+    }
+  });
+
+  return {
+    codeLength: codeSpace ? Math.max(1, codeSpace[1].length / 2) : 1,
+    map
+  };
+}
+
+// Walk a content stream, keeping the operands of each operator and collecting the text it shows
+function readTextOperators(content, fonts) {
+  let text = '';
+  let operands = [];
+  let font = null;
+  let position = 0;
+
+  while (position < content.length) {
+    const char = content[position];
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '%') {
+      // Comment to the end of the line
+      while (position < content.length && content[position] !== '\n' && content[position] !== '\r') position++;
+    } else if (char === '(') {
+      const string = readLiteralString(content, position);
+      operands.push({ string: string.value });
+      position = string.end;
+    } else if (char === '<' && content[position + 1] !== '<') {
+      const end = content.indexOf('>', position);
+      operands.push({ string: hexToBytes(content.slice(position + 1, end === -1 ? content.length : end)) });
+      position = end === -1 ? content.length : end + 1;
+    } else if (char === '[') {
+      operands.push({ array: [] });
+      position++;
+    } else if (char === ']') {
+      // Fold the operands since the matching [ into the array
+      const start = operands.map(operand => Boolean(operand.array)).lastIndexOf(true);
+      if (start !== -1) {
+        operands[start].array.push(...operands.splice(start + 1));
+      }
+      position++;
+    } else {
+      const token = content.slice(position, position + 256).match(/^(<<|>>|\/[^\s()<>[\]{}/%]*|[^\s()<>[\]{}/%]+|.)/)[0];
+      position += token.length;
+
+      if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        operands.push({ number: Number(token) });
+      } else if (token.startsWith('/') || token === '<<' || token === '>>') {
+        operands.push({ name: token });
+      } else {
+        if (token === 'Tf') {
+          font = fonts.get(operands[0]?.name) || null;
+        }
+        text += showText(token, operands, font);
+        operands = [];
+      }
+    }
+  }
+
+  return text;
+}
+
+// Text produced by one operator, including the line breaks and spaces from text positioning
+function showText(operator, operands, font) {
+  const last = operands[operands.length - 1];
+
+  switch (operator) {
+    case 'Tj':
+      return decodeText(last?.string, font);
+    case "'":
+    case '"':
+      return '\n' + decodeText(last?.string, font);
+    case 'TJ':
+      return (last?.array || []).map(item => {
+        if (item.string !== undefined) return decodeText(item.string, font);
+        return item.number !== undefined && item.number < -WORD_GAP ? ' ' : '';
+      }).join('');
+    case 'Td':
+    case 'TD':
+      // Moving down starts a new line, moving along the line is a gap between words
+      return operands[1]?.number ? '\n' : ' ';
+    case 'T*':
+    case 'Tm':
+    case 'ET':
+      return '\n';
+    default:
+      return '';
+  }
+}
+
+// Read a (literal string) with its escapes and balanced parentheses; returns its bytes and where it ends
+function readLiteralString(content, start) {
+  const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+  const bytes = [];
+  let depth = 0;
+  let position = start;
+
+  while (position < content.length) {
+    const char = content[position++];
+
+    if (char === '\\') {
+      const next = content[position++];
+      if (escapes[next] !== undefined) {
+        bytes.push(escapes[next]);
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(position - 1, position + 2).match(/^[0-7]{1,3}/)[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        position += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        // An escaped end-of-line continues the string on the next line
+        if (next === '\r' && content[position] === '\n') position++;
+      } else if (next !== undefined) {
+        bytes.push(next.charCodeAt(0));
+      }
+    } else if (char === '(') {
+      if (depth++ > 0) bytes.push(40);
+    } else if (char === ')') {
+      if (--depth === 0) break;
+      bytes.push(41);
+    } else {
+      bytes.push(char.charCodeAt(0));
+    }
+  }
+
+  return { value: Buffer.from(bytes), end: position };
+}
+
+// Map a shown string's character codes to text: through the font's ToUnicode map when it has one,
+// otherwise as UTF-16 (with a byte order mark) or single-byte WinAnsi
+function decodeText(bytes, font) {
+  if (!bytes || bytes.length === 0) return '';
+
+  let text = '';
+  if (font) {
+    for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+      const code = bytes.readUIntBE(i, font.codeLength);
+      text += font.map.has(code) ? font.map.get(code) : (font.codeLength === 1 ? String.fromCharCode(code) : '');
+    }
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    text = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2))).swap16().toString('utf16le');
+  } else {
+    text = Array.from(bytes, byte => WIN_ANSI[byte] || String.fromCharCode(byte)).join('');
+  }
+
+  const unprintable = text.replace(/[\t\n\r\x20-\x7e\u00a0-\uffff]/g, '').length;
+  return unprintable / text.length > MAX_UNPRINTABLE_RATIO ? '' : text;
+}
+
+// Inflate a stream's data if needed; streams we can't decode (e.g. images) read as empty
+// Every stream read counts against the document's budget, and running out of it throws
+function decodeStream(object, budget) {
+  if (!object || !object.data) return '';
+
+  const filters = (object.dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').match(/\/\w+/g) || [];
+  if (filters.length > 1 || (filters.length === 1 && filters[0] !== '/FlateDecode')) {
+    return '';
+  }
+
+  let data = object.data;
+  if (filters.length === 1) {
+    try {
+      // Sync flush tolerates the stray end-of-line bytes some writers leave before endstream
+      data = zlib.inflateSync(object.data, {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: Math.max(1, budget.remaining)
+      });
+    } catch (error) {
+      if (error.code !== 'ERR_BUFFER_TOO_LARGE') return '';
+      data = null;
+    }
+  }
+
+  if (!data || data.length > budget.remaining) {
+    throw new Error(`The PDF is too large to read: its streams hold more than ${MAX_INFLATED_BYTES / (1024 * 1024)} MB`);
+  }
+  budget.remaining -= data.length;
+  return data.toString('latin1');
+}
+
+// Raw value of a dictionary entry: a reference, name, number, or a whole nested <<dictionary>> or [array]
+function getEntry(dictionary, key) {
+  const match = new RegExp(`${key.replace('/', '\\/')}(?![A-Za-z0-9])\\s*`).exec(dictionary);
+  if (!match) return null;
+
+  const start = match.index + match[0].length;
+  const rest = dictionary.slice(start);
+
+  if (rest.startsWith('<<') || rest.startsWith('[')) {
+    const open = rest.startsWith('<<') ? '<<' : '[';
+    const close = open === '<<' ? '>>' : ']';
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest.startsWith(open, i)) {
+        depth++;
+        i += open.length - 1;
+      } else if (rest.startsWith(close, i)) {
+        depth--;
+        i += close.length - 1;
+        if (depth === 0) return rest.slice(0, i + 1);
+      }
+    }
+    return rest;
+  }
+
+  return rest.match(/^(\d+\s+\d+\s+R|\/[^\s/<>[\]()]+|[-+]?[\d.]+)/)?.[0] || null;
+}
+
+// A dictionary given directly or through a reference
+function resolve(objects, value) {
+  if (!value) return null;
+  if (value.startsWith('<<')) return value;
+  return objects.get(referencedNumber(value))?.dictionary || null;
+}
+
+// References in an [array], or the single reference
+function toArray(value) {
+  if (!value) return [];
+  return value.startsWith('[') ? value.match(/\d+\s+\d+\s+R/g) || [] : [value];
+}
+
+function referencedNumber(reference) {
+  return Number(/^(\d+)\s+\d+\s+R/.exec(reference || '')?.[1]);
+}
+
+function hexToBytes(hex) {
+  const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+  return Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+}
+
+module.exports = {
+  MAX_INFLATED_BYTES,
+  MAX_TEXT_LENGTH,
+  extractPdfText
+};
@@ -0,0 +1,456 @@
+/**
+ * Phone agent service
+ * Connects the audio of a Vonage call (streamed over a WebSocket) to the AI pipeline:
+ * caller speech -> speech-to-text -> OpenAI chat -> text-to-speech -> audio back into the call
+ *
+ * Also answers turn-based calls, where Vonage recognizes the caller's speech with an NCCO
+ * input action and each reply is a new NCCO returned from a plain HTTP webhook
+ */
+
+const openaiService = require('./openaiService');
+const sttService = require('./sttService');
+const ttsService = require('./ttsService');
+const conversationService = require('./conversationService');
+const knowledgeBase = require('./knowledgeBase');
+const callStateService = require('./callStateService');
+const vonageService = require('./vonageService');
+const { createSpeechPipeline } = require('./speechPipeline');
+
+// Vonage streams 16kHz 16-bit linear PCM in 20ms frames
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 20;
+const FRAME_BYTES = SAMPLE_RATE * 2 * FRAME_MS / 1000; // 640 bytes
+
+// PCM from the TTS service (OpenAI) is 24kHz
+const TTS_SAMPLE_RATE = 24000;
+
+// Voice activity detection for endpointing caller utterances
+const SPEECH_RMS_THRESHOLD = 600; // Frame energy above this counts as speech
+const END_OF_SPEECH_MS = 800; // Silence that ends an utterance
+const MIN_UTTERANCE_MS = 300; // Shorter bursts are treated as noise
+const MAX_UTTERANCE_MS = 15000; // Cut off very long utterances
+
+// Turn-based calls end after this many turns in a row without recognized speech
+const MAX_MISSED_TURNS = 3;
+const TURN_CALL_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful voice assistant speaking with a caller on the phone. Keep your responses short, clear and conversational.';
+
+// Turn-based calls keyed by conversation UUID
+const turnCalls = new Map();
+
+// Forget a turn-based call's history as soon as the call ends
+callStateService.subscribe((call) => {
+  if (callStateService.isTerminal(call.status) && turnCalls.has(call.conversationUuid)) {
+    endTurnCall(call.conversationUuid);
+  }
+});
+
+// WebSocket close code for a connection that breaks policy (here: a token issued for another call)
+const POLICY_VIOLATION = 1008;
+
+/**
+ * Handle a Vonage WebSocket connection for a single call
+ * @param {WebSocket} ws - WebSocket opened by Vonage's connect action
+ * @param {http.IncomingMessage} req - Upgrade request, with the claims of its media token on req.mediaToken
+ */
+function handleMediaSocket(ws, req) {
+  const call = {
+    callUuid: null,
+    applicationId: null,
+    // Audio is only listened to once the socket has connected as the call its token was issued for
+    connected: false,
+    sessionId: conversationService.getOrCreateSession().id,
+    systemPrompt: process.env.PHONE_AGENT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+    voiceType: process.env.PHONE_AGENT_VOICE || 'female',
+    language: process.env.PHONE_AGENT_LANGUAGE || 'en-US',
+    // Caller utterance being captured
+    utteranceFrames: [],
+    inUtterance: false,
+    utteranceMs: 0,
+    silenceMs: 0,
+    // Agent reply being played back
+    isResponding: false,
+    outputFrames: [],
+    playbackTimer: null,
+    // Aborted when the caller hangs up, stopping the reply being worked on
+    hangup: new AbortController()
+  };
+
+  ws.on('message', (data, isBinary) => {
+    // The first message is a JSON text frame with the headers from the NCCO
+    if (!isBinary) {
+      try {
+        const message = JSON.parse(data.toString());
+        if (message.event === 'websocket:connected') {
+          // The token in the socket URL was issued for one call; audio for any other call is refused
+          if ((message.callUuid || '') !== req.mediaToken?.callUuid) {
+            console.warn(`Rejected media socket for call ${message.callUuid}: its token was issued for another call`);
+            ws.close(POLICY_VIOLATION, 'Token was issued for another call');
+            return;
+          }
+          call.connected = true;
+          call.callUuid = message.callUuid || null;
+          call.applicationId = message.applicationId || null;
+          console.log('Phone agent connected to call:', call.callUuid, message['content-type']);
+        }
+      } catch (error) {
+        console.warn('Ignoring non-JSON text message on media socket');
+      }
+      return;
+    }
+
+    if (call.connected) {
+      handleAudioFrame(ws, call, data);
+    }
+  });
+
+  ws.on('close', () => {
+    console.log('Phone agent disconnected from call:', call.callUuid);
+    call.hangup.abort();
+    stopPlayback(call);
+    conversationService.deleteSession(call.sessionId);
+  });
+
+  ws.on('error', (error) => {
+    console.error('Media socket error:', error);
+  });
+}
+
+/**
+ * Answer one turn of a turn-based call
+ * @param {Object} input - Body of the input action's webhook (speech results, uuid, conversation_uuid)
+ * @param {Object} options - Turn options
+ * @param {string} options.inputUrl - Webhook URL for the next input action
+ * @param {string} [options.language] - Speech recognition and TTS language (defaults to PHONE_AGENT_LANGUAGE)
+ * @returns {Promise<Array<Object>>} - NCCO that speaks the reply and listens for the next turn
+ */
+async function handleSpeechInput(input, { inputUrl, language }) {
+  const conversationUuid = input.conversation_uuid || input.uuid;
+  const turnCall = getTurnCall(conversationUuid, language);
+  const text = input.speech?.results?.[0]?.text?.trim();
+
+  if (!text) {
+    turnCall.missedTurns++;
+    if (input.speech?.error) {
+      console.warn(`Speech recognition failed (${conversationUuid}):`, input.speech.error);
+    }
+
+    if (turnCall.missedTurns >= MAX_MISSED_TURNS) {
+      endTurnCall(conversationUuid);
+      return [buildTalk(turnCall, 'Sorry, I still can\'t hear you. Please call back later. Goodbye.', false)];
+    }
+    return [
+      buildTalk(turnCall, 'Sorry, I didn\'t catch that. Could you say that again?'),
+      buildSpeechInput(inputUrl, turnCall.language)
+    ];
+  }
+
+  turnCall.missedTurns = 0;
+  console.log(`Caller said (${conversationUuid}):`, text);
+
+  try {
+    const history = conversationService.getHistory(turnCall.sessionId);
+    const knowledge = await knowledgeBase.retrieve(text);
+    const reply = await openaiService.getAIResponse(text, turnCall.systemPrompt, history, { knowledge });
+    conversationService.addTurn(turnCall.sessionId, 'user', text);
+    conversationService.addTurn(turnCall.sessionId, 'assistant', reply);
+
+    return [
+      buildTalk(turnCall, knowledgeBase.removeCitationMarkers(reply)),
+      buildSpeechInput(inputUrl, turnCall.language)
+    ];
+  } catch (error) {
+    console.error('Phone agent failed to respond:', error);
+    return [
+      buildTalk(turnCall, 'Sorry, something went wrong on my side. Could you say that again?'),
+      buildSpeechInput(inputUrl, turnCall.language)
+    ];
+  }
+}
+
+/**
+ * NCCO for a turn that could not be answered at all: apologize and listen again
+ * @param {Object} options - Turn options
+ * @param {string} options.inputUrl - Webhook URL for the next input action
+ * @param {string} [options.language] - Speech recognition and TTS language (defaults to PHONE_AGENT_LANGUAGE)
+ * @returns {Array<Object>} - NCCO
+ */
+function buildFallbackNcco({ inputUrl, language }) {
+  const turnCall = {
+    language: language || process.env.PHONE_AGENT_LANGUAGE || 'en-US',
+    voiceType: process.env.PHONE_AGENT_VOICE || 'female'
+  };
+  return [
+    buildTalk(turnCall, 'Sorry, something went wrong on my side. Could you say that again?'),
+    buildSpeechInput(inputUrl, turnCall.language)
+  ];
+}
+
+// Input action that listens for the caller's next turn; same settings as the ai-agent-turns call flow
+function buildSpeechInput(inputUrl, language) {
+  return {
+    action: 'input',
+    type: ['speech'],
+    speech: {
+      language,
+      endOnSilence: 1,
+      startTimeout: 10
+    },
+    eventUrl: [inputUrl]
+  };
+}
+
+// With bargeIn the caller can interrupt by speaking; it is only allowed when an input action follows
+function buildTalk(turnCall, text, bargeIn = true) {
+  return {
+    action: 'talk',
+    text,
+    language: turnCall.language,
+    voiceName: vonageService.getVoiceName(turnCall.language, turnCall.voiceType),
+    bargeIn
+  };
+}
+
+function getTurnCall(conversationUuid, language) {
+  const now = Date.now();
+  turnCalls.forEach((turnCall, key) => {
+    if (now - turnCall.updatedAt > TURN_CALL_TTL_MS) {
+      endTurnCall(key);
+    }
+  });
+
+  let turnCall = turnCalls.get(conversationUuid);
+  if (!turnCall) {
+    turnCall = {
+      sessionId: conversationService.getOrCreateSession().id,
+      systemPrompt: process.env.PHONE_AGENT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+      voiceType: process.env.PHONE_AGENT_VOICE || 'female',
+      language: language || process.env.PHONE_AGENT_LANGUAGE || 'en-US',
+      missedTurns: 0,
+      updatedAt: now
+    };
+    turnCalls.set(conversationUuid, turnCall);
+  }
+
+  turnCall.updatedAt = now;
+  return turnCall;
+}
+
+function endTurnCall(conversationUuid) {
+  const turnCall = turnCalls.get(conversationUuid);
+  if (turnCall) {
+    conversationService.deleteSession(turnCall.sessionId);
+    turnCalls.delete(conversationUuid);
+  }
+}
+
+// Feed one frame of caller audio through voice activity detection
+function handleAudioFrame(ws, call, frame) {
+  // Don't listen while the agent is talking, otherwise it hears itself
+  if (call.isResponding || call.outputFrames.length > 0) {
+    return;
+  }
+
+  const isSpeech = frameRms(frame) > SPEECH_RMS_THRESHOLD;
+
+  if (!call.inUtterance) {
+    if (!isSpeech) return;
+    call.inUtterance = true;
+    call.utteranceFrames = [];
+    call.utteranceMs = 0;
+    call.silenceMs = 0;
+  }
+
+  call.utteranceFrames.push(frame);
+  call.utteranceMs += FRAME_MS;
+  call.silenceMs = isSpeech ? 0 : call.silenceMs + FRAME_MS;
+
+  if (call.silenceMs >= END_OF_SPEECH_MS || call.utteranceMs >= MAX_UTTERANCE_MS) {
+    call.inUtterance = false;
+    const spokenMs = call.utteranceMs - call.silenceMs;
+    const audio = Buffer.concat(call.utteranceFrames);
+    call.utteranceFrames = [];
+
+    if (spokenMs >= MIN_UTTERANCE_MS) {
+      respondToCaller(ws, call, audio);
+    }
+  }
+}
+
+// Transcribe a caller utterance, get the AI reply and speak it back into the call
+// Everything stops once the caller hangs up, and an unfinished turn is left out of the history
+async function respondToCaller(ws, call, pcmAudio) {
+  const { signal } = call.hangup;
+  call.isResponding = true;
+
+  try {
+    const { text } = await sttService.transcribe(pcmToWav(pcmAudio, SAMPLE_RATE), {
+      mimeType: 'audio/wav',
+      language: call.language
+    });
+    if (!text || signal.aborted) {
+      return;
+    }
+    console.log(`Caller said (${call.callUuid}):`, text);
+
+    // Speak each sentence as soon as it has been generated
+    const speech = createSpeechPipeline(
+      (sentence) => synthesizeForCall(sentence, call.voiceType, signal),
+      ({ audio }) => queuePlayback(ws, call, audio)
+    );
+
+    // Call control tools (transfer, hang up) act once the reply has been heard
+    const afterReply = [];
+
+    const history = conversationService.getHistory(call.sessionId);
+    const knowledge = await knowledgeBase.retrieve(text);
+    if (signal.aborted) {
+      return;
+    }
+    const streamingResponse = await openaiService.getStreamingAIResponse(text, call.systemPrompt, history, {
+      onDelta: (delta) => speech.push(delta),
+      signal,
+      knowledge,
+      toolContext: {
+        sessionId: call.sessionId,
+        callUuid: call.callUuid,
+        applicationId: call.applicationId,
+        afterReply: (action) => afterReply.push(action)
+      }
+    });
+
+    const finalText = await openaiService.processFinalResponse(
+      streamingResponse.streamId,
+      streamingResponse.completeTextPromise
+    );
+    if (signal.aborted) {
+      return;
+    }
+    conversationService.addTurn(call.sessionId, 'user', text);
+    conversationService.addTurn(call.sessionId, 'assistant', finalText);
+
+    await speech.finish(finalText);
+
+    if (afterReply.length > 0 && !signal.aborted) {
+      await waitForPlayback(call);
+      for (const action of afterReply) {
+        await action();
+      }
+    }
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('Phone agent failed to respond:', error);
+    }
+  } finally {
+    call.isResponding = false;
+  }
+}
+
+// Synthesize a sentence as 16kHz linear PCM for the call; citation markers aren't spoken
+async function synthesizeForCall(sentence, voiceType, signal) {
+  const spokenText = knowledgeBase.removeCitationMarkers(sentence).trim();
+  if (!spokenText) {
+    return null;
+  }
+
+  const { audio } = await ttsService.synthesize(spokenText, { voiceType, format: 'pcm', signal });
+  return resamplePcm(audio, TTS_SAMPLE_RATE, SAMPLE_RATE);
+}
+
+// Queue PCM audio to be sent to the call in real-time 20ms frames
+function queuePlayback(ws, call, pcm) {
+  for (let offset = 0; offset < pcm.length; offset += FRAME_BYTES) {
+    const frame = Buffer.alloc(FRAME_BYTES); // Zero-padded at the end of the clip
+    pcm.copy(frame, 0, offset, Math.min(offset + FRAME_BYTES, pcm.length));
+    call.outputFrames.push(frame);
+  }
+
+  if (call.playbackTimer) return;
+
+  call.playbackTimer = setInterval(() => {
+    const frame = call.outputFrames.shift();
+    if (!frame || ws.readyState !== ws.OPEN) {
+      stopPlayback(call);
+      return;
+    }
+    ws.send(frame);
+  }, FRAME_MS);
+}
+
+// Resolves once all queued reply audio has been sent into the call
+function waitForPlayback(call) {
+  return new Promise((resolve) => {
+    const check = setInterval(() => {
+      if (!call.playbackTimer) {
+        clearInterval(check);
+        resolve();
+      }
+    }, FRAME_MS);
+  });
+}
+
+function stopPlayback(call) {
+  if (call.playbackTimer) {
+    clearInterval(call.playbackTimer);
+    call.playbackTimer = null;
+  }
+  call.outputFrames = [];
+}
+
+// Root-mean-square energy of a frame of 16-bit little-endian samples
+function frameRms(frame) {
+  const samples = Math.floor(frame.length / 2);
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// Linear-interpolation resampling of 16-bit little-endian mono PCM
+function resamplePcm(pcm, fromRate, toRate) {
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const ratio = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = pcm.readInt16LE(index * 2);
+    const next = index + 1 < inputSamples ? pcm.readInt16LE((index + 1) * 2) : current;
+    output.writeInt16LE(Math.round(current + (next - current) * fraction), i * 2);
+  }
+
+  return output;
+}
+
+// Wrap 16-bit mono PCM in a WAV header so it can be uploaded for transcription
+function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM format chunk size
+  header.writeUInt16LE(1, 20); // Audio format: linear PCM
+  header.writeUInt16LE(1, 22); // Channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+module.exports = {
+  handleMediaSocket,
+  handleSpeechInput,
+  buildFallbackNcco
+};
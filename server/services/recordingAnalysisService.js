@@ -0,0 +1,116 @@
+/**
+ * Recording analysis service
+ * Transcribes saved call recordings with Whisper and summarizes the transcript
+ * with GPT, one recording at a time, storing the result in the recording's catalog entry
+ */
+
+const openaiService = require('./openaiService');
+const recordingService = require('./recordingService');
+
+// Whisper accepts uploads of up to 25 MB
+const MAX_TRANSCRIPTION_BYTES = 25 * 1024 * 1024;
+
+// Recording UUIDs waiting to be analyzed, oldest first
+const queue = [];
+let processing = false;
+
+resumeInterruptedAnalyses();
+
+/**
+ * Queue a recording for transcription and summary
+ * @param {string} recordingUuid - Recording UUID
+ * @returns {Object|null} - Updated catalog entry, or null if the recording doesn't exist
+ */
+function enqueue(recordingUuid) {
+  const entry = recordingService.getRecording(recordingUuid);
+  if (!entry) return null;
+
+  if (queue.includes(recordingUuid) || isInProgress(entry.analysis)) {
+    return entry;
+  }
+
+  const updated = recordingService.updateRecording(recordingUuid, {
+    analysis: { status: 'queued', queuedAt: new Date().toISOString() }
+  });
+  queue.push(recordingUuid);
+  processQueue();
+  return updated;
+}
+
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const recordingUuid = queue.shift();
+    try {
+      await analyzeRecording(recordingUuid);
+    } catch (error) {
+      console.error(`Failed to analyze recording ${recordingUuid}:`, error.message);
+      setAnalysis(recordingUuid, { status: 'failed', error: error.message });
+    }
+  }
+
+  processing = false;
+}
+
+async function analyzeRecording(recordingUuid) {
+  const audio = recordingService.getRecordingAudio(recordingUuid);
+  if (audio.length > MAX_TRANSCRIPTION_BYTES) {
+    throw new Error('Recording is too large to transcribe (25 MB limit)');
+  }
+
+  setAnalysis(recordingUuid, { status: 'transcribing' });
+  const transcript = await openaiService.transcribeAudio(audio, `${recordingUuid}.mp3`);
+
+  // Nothing was said (e.g. voicemail silence), so there is nothing to summarize
+  if (!transcript) {
+    setAnalysis(recordingUuid, { status: 'completed', transcript, summary: '', actionItems: [], sentiment: 'neutral', topics: [], completedAt: new Date().toISOString() });
+    return;
+  }
+
+  setAnalysis(recordingUuid, { status: 'summarizing', transcript });
+  const { summary, actionItems, sentiment, topics } = await openaiService.summarizeTranscript(transcript);
+
+  setAnalysis(recordingUuid, {
+    status: 'completed',
+    transcript,
+    summary,
+    actionItems,
+    sentiment,
+    topics,
+    completedAt: new Date().toISOString()
+  });
+  console.log(`Analyzed recording ${recordingUuid}: ${sentiment}, ${topics.join(', ') || 'no topics'}`);
+}
+
+// Merge into the recording's analysis, keeping when it was queued
+function setAnalysis(recordingUuid, changes) {
+  const entry = recordingService.getRecording(recordingUuid);
+  if (!entry) return;
+
+  recordingService.updateRecording(recordingUuid, {
+    analysis: { queuedAt: entry.analysis?.queuedAt, ...changes }
+  });
+}
+
+function isInProgress(analysis) {
+  return ['queued', 'transcribing', 'summarizing'].includes(analysis?.status);
+}
+
+// Pick up recordings whose analysis was cut short by a restart
+function resumeInterruptedAnalyses() {
+  recordingService.listRecordings()
+    .filter(entry => isInProgress(entry.analysis))
+    .reverse()
+    .forEach(entry => queue.push(entry.id));
+
+  if (queue.length > 0) {
+    console.log(`Resuming analysis of ${queue.length} recordings`);
+    processQueue();
+  }
+}
+
+module.exports = {
+  enqueue
+};
@@ -0,0 +1,186 @@
+/**
+ * Recording catalog
+ * Stores call recordings with a JSON sidecar file holding the webhook metadata
+ * (call linkage, start/end times, size), the real duration parsed from the MP3
+ * and, once the call has been analyzed, its transcript and summary
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMp3Duration } = require('./mp3Duration');
+
+// Recordings are kept next to their metadata: <uuid>.mp3 and <uuid>.json
+const RECORDINGS_DIR = path.join(__dirname, '../../recordings');
+
+// Catalog entries keyed by recording UUID, read from disk on first use and kept in memory
+let catalog = null;
+
+/**
+ * Save a downloaded recording and its metadata
+ * @param {string} recordingUuid - Recording UUID
+ * @param {Buffer} audio - MP3 data
+ * @param {Object} metadata - Metadata from the recording webhook
+ * @param {string} [metadata.callUuid] - UUID of the recorded call
+ * @param {string} [metadata.conversationUuid] - UUID of the recorded conversation
+ * @param {string} [metadata.applicationId] - Vonage application the call belongs to
+ * @param {string} [metadata.startTime] - When recording started (ISO 8601)
+ * @param {string} [metadata.endTime] - When recording ended (ISO 8601)
+ * @returns {Object} - Catalog entry
+ */
+function saveRecording(recordingUuid, audio, metadata = {}) {
+  ensureRecordingsDir();
+
+  const fileName = `${recordingUuid}.mp3`;
+  fs.writeFileSync(path.join(RECORDINGS_DIR, fileName), audio);
+
+  const entry = {
+    id: recordingUuid,
+    callUuid: metadata.callUuid || null,
+    conversationUuid: metadata.conversationUuid || null,
+    applicationId: metadata.applicationId || null,
+    startTime: metadata.startTime || null,
+    endTime: metadata.endTime || null,
+    timestamp: metadata.startTime || new Date().toISOString(),
+    duration: getMp3Duration(audio),
+    size: audio.length,
+    status: 'completed',
+    format: 'mp3',
+    fileName
+  };
+
+  writeMetadata(entry);
+  getCatalog().set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * List recordings, newest first
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.applicationId] - Only recordings from this application
+ * @param {string} [filters.callUuid] - Only recordings of this call
+ * @param {string} [filters.startDate] - Only recordings started at or after this date
+ * @param {string} [filters.endDate] - Only recordings started at or before this date
+ * @returns {Array<Object>} - Catalog entries
+ */
+function listRecordings(filters = {}) {
+  const startDate = filters.startDate ? new Date(filters.startDate).getTime() : null;
+  const endDate = filters.endDate ? new Date(filters.endDate).getTime() : null;
+
+  return Array.from(getCatalog().values())
+    .filter(entry => {
+      // Recordings whose application isn't known (unsigned webhooks, older files) are only listed unfiltered
+      if (filters.applicationId && entry.applicationId !== filters.applicationId) return false;
+      if (filters.callUuid && entry.callUuid !== filters.callUuid) return false;
+
+      const started = new Date(entry.timestamp).getTime();
+      if (startDate !== null && started < startDate) return false;
+      if (endDate !== null && started > endDate) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Get a recording's catalog entry
+ * @param {string} recordingUuid - Recording UUID
+ * @returns {Object|null} - Catalog entry
+ */
+function getRecording(recordingUuid) {
+  if (!isRecordingId(recordingUuid)) return null;
+  return getCatalog().get(recordingUuid) || null;
+}
+
+/**
+ * Read a recording's audio
+ * @param {string} recordingUuid - Recording UUID
+ * @returns {Buffer} - MP3 data
+ */
+function getRecordingAudio(recordingUuid) {
+  if (!isRecordingId(recordingUuid)) {
+    throw new Error(`Invalid recording UUID: ${recordingUuid}`);
+  }
+  return fs.readFileSync(path.join(RECORDINGS_DIR, `${recordingUuid}.mp3`));
+}
+
+/**
+ * Merge changes into a recording's catalog entry
+ * @param {string} recordingUuid - Recording UUID
+ * @param {Object} changes - Fields to set (e.g. analysis)
+ * @returns {Object|null} - Updated catalog entry, or null if the recording doesn't exist
+ */
+function updateRecording(recordingUuid, changes) {
+  const entry = getRecording(recordingUuid);
+  if (!entry) return null;
+
+  const updated = { ...entry, ...changes };
+  writeMetadata(updated);
+  getCatalog().set(updated.id, updated);
+  return updated;
+}
+
+// Recording UUIDs become file names, so they must not be able to escape the recordings directory
+function isRecordingId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9-]+$/.test(value);
+}
+
+function getCatalog() {
+  if (!catalog) {
+    catalog = new Map();
+    if (fs.existsSync(RECORDINGS_DIR)) {
+      fs.readdirSync(RECORDINGS_DIR)
+        .filter(file => file.endsWith('.mp3'))
+        .map(loadEntry)
+        .forEach(entry => catalog.set(entry.id, entry));
+    }
+  }
+  return catalog;
+}
+
+// Load the catalog entry for an MP3, building it from the file for recordings saved before the catalog existed
+// (a built entry is written out the first time the recording is updated)
+function loadEntry(fileName) {
+  const audioPath = path.join(RECORDINGS_DIR, fileName);
+  const metadataPath = audioPath.replace(/\.mp3$/, '.json');
+
+  if (fs.existsSync(metadataPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+      console.error(`Ignoring unreadable recording metadata ${metadataPath}:`, error.message);
+    }
+  }
+
+  const stats = fs.statSync(audioPath);
+  return {
+    id: fileName.replace(/\.mp3$/, ''),
+    callUuid: null,
+    conversationUuid: null,
+    applicationId: null,
+    startTime: null,
+    endTime: null,
+    timestamp: stats.mtime.toISOString(),
+    duration: getMp3Duration(fs.readFileSync(audioPath)),
+    size: stats.size,
+    status: 'completed',
+    format: 'mp3',
+    fileName
+  };
+}
+
+function writeMetadata(entry) {
+  fs.writeFileSync(path.join(RECORDINGS_DIR, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+}
+
+function ensureRecordingsDir() {
+  if (!fs.existsSync(RECORDINGS_DIR)) {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  }
+}
+
+module.exports = {
+  saveRecording,
+  listRecordings,
+  getRecording,
+  getRecordingAudio,
+  updateRecording
+};
@@ -0,0 +1,61 @@
+/**
+ * Sentence splitter for streamed text
+ * Cuts a token stream into sentences as it arrives so each one can be
+ * sent to text-to-speech without waiting for the full response
+ */
+
+// Sentence-ending punctuation (with optional closing quotes/brackets) followed by whitespace
+const SENTENCE_END = /[.!?…]+["'”’)\]]*\s+|\n+/g;
+
+// Sentences shorter than this are merged into the next one so we don't synthesize tiny clips
+const MIN_SENTENCE_LENGTH = 20;
+
+/**
+ * Create a sentence splitter
+ * @param {function(string): void} onSentence - Called with each complete sentence, in order
+ * @returns {{push: function(string): void, flush: function(): void}} - Splitter
+ */
+function createSentenceSplitter(onSentence) {
+  let buffer = '';
+
+  const emit = (sentence) => {
+    const text = sentence.trim();
+    if (text) {
+      onSentence(text);
+    }
+  };
+
+  return {
+    /**
+     * Add streamed text and emit any sentences it completes
+     * @param {string} text - Text delta
+     */
+    push(text) {
+      buffer += text;
+
+      let start = 0;
+      let match;
+      SENTENCE_END.lastIndex = 0;
+      while ((match = SENTENCE_END.exec(buffer)) !== null) {
+        const end = match.index + match[0].length;
+        if (buffer.slice(start, end).trim().length >= MIN_SENTENCE_LENGTH) {
+          emit(buffer.slice(start, end));
+          start = end;
+        }
+      }
+      buffer = buffer.slice(start);
+    },
+
+    /**
+     * Emit whatever text is left once the stream has ended
+     */
+    flush() {
+      emit(buffer);
+      buffer = '';
+    }
+  };
+}
+
+module.exports = {
+  createSentenceSplitter
+};
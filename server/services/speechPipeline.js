@@ -0,0 +1,65 @@
+/**
+ * Incremental speech pipeline
+ * Turns streamed response text into an ordered queue of audio clips, one per sentence
+ */
+
+const { createSentenceSplitter } = require('./sentenceSplitter');
+
+/**
+ * Create a speech pipeline
+ * Each sentence is sent to synthesis as soon as it is complete, and clips are
+ * delivered to onAudio in the order the sentences were generated
+ * @param {function(string): Promise<*>} synthesize - Turns a sentence into audio (a URL, a buffer, ...)
+ * @param {function({index: number, audio: *, text: string}): void} onAudio - Called with each clip, in order
+ * @returns {{push: function(string): void, finish: function(string): Promise<void>}} - Pipeline
+ */
+function createSpeechPipeline(synthesize, onAudio) {
+  let queue = Promise.resolve();
+  let sentenceCount = 0;
+
+  const speak = (sentence) => {
+    const index = sentenceCount++;
+
+    // Start synthesis right away, but deliver clips in sentence order
+    const clip = synthesize(sentence).catch(error => {
+      console.error(`Failed to generate audio for sentence ${index}:`, error.message);
+      return null;
+    });
+
+    queue = queue.then(async () => {
+      const audio = await clip;
+      if (audio) {
+        onAudio({ index, audio, text: sentence });
+      }
+    });
+  };
+
+  const splitter = createSentenceSplitter(speak);
+
+  return {
+    /**
+     * Add streamed response text
+     * @param {string} text - Text delta
+     */
+    push: (text) => splitter.push(text),
+
+    /**
+     * Speak any trailing text and wait until every clip has been delivered
+     * @param {string} finalText - Complete response text
+     */
+    finish: async (finalText) => {
+      splitter.flush();
+
+      // Nothing was streamed (e.g. the stream failed), so speak the final text as a whole
+      if (sentenceCount === 0 && finalText) {
+        speak(finalText);
+      }
+
+      await queue;
+    }
+  };
+}
+
+module.exports = {
+  createSpeechPipeline
+};
@@ -0,0 +1,84 @@
+/**
+ * Speech-to-text service
+ * Transcribes recorded audio through a pluggable provider (OpenAI Whisper by default)
+ */
+
+const openaiService = require('./openaiService');
+
+// File extensions for the audio formats we accept, keyed by MIME type
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a'
+};
+
+// Registered STT providers, keyed by name
+const providers = new Map();
+
+/**
+ * Register a speech-to-text provider
+ * @param {string} name - Provider name, selected with the STT_PROVIDER environment variable
+ * @param {{transcribe: function(Buffer, {fileName: string, mimeType: string, language: string}): Promise<string>}} provider - Provider implementation
+ */
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+// OpenAI Whisper is the default provider
+registerProvider('whisper', {
+  transcribe: (audioBuffer, { fileName, language }) => openaiService.transcribeAudio(audioBuffer, fileName, language)
+});
+
+/**
+ * Check whether an audio MIME type can be transcribed
+ * @param {string} mimeType - MIME type, optionally with parameters (e.g. audio/webm;codecs=opus)
+ * @returns {boolean} - Whether the format is supported
+ */
+function isSupportedFormat(mimeType) {
+  return Boolean(getExtension(mimeType));
+}
+
+/**
+ * Transcribe audio using the configured provider
+ * @param {Buffer} audioBuffer - Audio file contents
+ * @param {Object} options - Transcription options
+ * @param {string} options.mimeType - MIME type of the audio
+ * @param {string} [options.language] - Language code hint (e.g. en-US)
+ * @returns {Promise<{text: string, provider: string}>} - Transcribed text and the provider that produced it
+ */
+async function transcribe(audioBuffer, { mimeType, language }) {
+  const providerName = process.env.STT_PROVIDER || 'whisper';
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown STT provider: ${providerName}`);
+  }
+
+  const extension = getExtension(mimeType);
+  if (!extension) {
+    throw new Error(`Unsupported audio format: ${mimeType}`);
+  }
+
+  const text = await provider.transcribe(audioBuffer, {
+    fileName: `audio.${extension}`,
+    mimeType,
+    language
+  });
+
+  return { text, provider: providerName };
+}
+
+function getExtension(mimeType) {
+  if (!mimeType) return null;
+  const baseType = mimeType.split(';')[0].trim().toLowerCase();
+  return AUDIO_EXTENSIONS[baseType] || null;
+}
+
+module.exports = {
+  registerProvider,
+  isSupportedFormat,
+  transcribe
+};
@@ -0,0 +1,247 @@
+/**
+ * Tool registry
+ * Named tools the agent can call while it replies. Each tool has a description and JSON-schema
+ * parameters, which are offered to OpenAI as function tools, and a handler that runs on the server.
+ *
+ * Handlers are called with the parsed arguments and the context of the conversation they run in:
+ *   sessionId - Conversation session
+ *   callUuid, applicationId - The phone call, when the conversation is a call
+ *   afterReply(action) - Runs action once the reply has been spoken (e.g. hang up after saying goodbye)
+ * Tools with an isAvailable(context) check are only offered where they can work.
+ */
+
+const vonageService = require('./vonageService');
+const callStateService = require('./callStateService');
+const credentialVault = require('./credentialVault');
+
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+// Built-in example tools; the call control ones are only offered on phone calls
+const BUILT_IN_TOOLS = [
+  {
+    name: 'get_current_time',
+    description: 'Get the current date and time, optionally in a given time zone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: { type: 'string', description: 'IANA time zone, e.g. Europe/London. Defaults to the server time zone.' }
+      },
+      required: []
+    },
+    handler: ({ timeZone }) => {
+      const now = new Date();
+      let formatted;
+      try {
+        formatted = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' });
+      } catch (error) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+      }
+
+      return {
+        iso: now.toISOString(),
+        formatted,
+        timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+      };
+    }
+  },
+  {
+    name: 'transfer_call',
+    description: 'Transfer the caller to a human agent. Tell the caller they are being transferred; the transfer happens once your reply has been spoken.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the caller needs a human, for the agent taking the call' }
+      },
+      required: ['reason']
+    },
+    isAvailable: (context) => Boolean(process.env.PHONE_AGENT_TRANSFER_NUMBER && canControlCall(context)),
+    handler: ({ reason }, context) => {
+      const number = process.env.PHONE_AGENT_TRANSFER_NUMBER;
+      const call = callStateService.getCall(context.callUuid);
+      // Show the transfer target our Vonage number: the one the caller dialled, or the one we called from
+      const from = call?.direction === 'inbound' ? call.to : call?.from;
+
+      context.afterReply(async () => {
+        console.log(`Transferring call ${context.callUuid} to ${number}: ${reason}`);
+        await vonageService.transferCall(context.callUuid, context.applicationId, [
+          {
+            action: 'connect',
+            ...(from ? { from } : { randomFromNumber: true }),
+            endpoint: [{ type: 'phone', number }]
+          }
+        ]);
+      });
+
+      return { transferring: true };
+    }
+  },
+  {
+    name: 'end_call',
+    description: 'Hang up the phone call once the caller is done. Say goodbye first; the call ends after your reply has been spoken.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    isAvailable: canControlCall,
+    handler: (args, context) => {
+      context.afterReply(async () => {
+        console.log(`Agent ending call ${context.callUuid}`);
+        await vonageService.modifyCall(context.callUuid, context.applicationId, 'hangup');
+      });
+
+      return { ending: true };
+    }
+  }
+];
+
+// Tools keyed by name
+const tools = new Map();
+BUILT_IN_TOOLS.forEach(tool => registerTool(tool));
+
+/**
+ * Add a tool the agent can call, replacing any tool with the same name
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Name the model calls it by (letters, digits, _ and -)
+ * @param {string} tool.description - What the tool does and when to use it, for the model
+ * @param {Object} tool.parameters - JSON schema of the arguments (an object schema)
+ * @param {function(Object, Object): *} tool.handler - Called with the arguments and the conversation context; may be async
+ * @param {function(Object): boolean} [tool.isAvailable] - Whether the tool can be offered in a conversation context
+ * @throws {Error} If the definition is invalid
+ */
+function registerTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+    throw new Error('Tool name must be 1-64 letters, digits, underscores or dashes');
+  }
+  if (typeof tool.description !== 'string' || !tool.description) {
+    throw new Error(`Tool ${tool.name} needs a description`);
+  }
+  if (tool.parameters?.type !== 'object') {
+    throw new Error(`Tool ${tool.name} parameters must be an object schema`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} needs a handler function`);
+  }
+
+  tools.set(tool.name, tool);
+}
+
+/**
+ * Remove a tool
+ * @param {string} name - Tool name
+ * @returns {boolean} - Whether the tool existed
+ */
+function unregisterTool(name) {
+  return tools.delete(name);
+}
+
+/**
+ * List the registered tools
+ * @returns {Array<{name: string, description: string, parameters: Object}>} - Tool definitions without their handlers
+ */
+function listTools() {
+  return Array.from(tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Get the tools available in a conversation, in the format of the OpenAI chat completions API
+ * @param {Object} [context] - Conversation context (see the top of this file)
+ * @returns {Array<Object>} - Function tools for the request's tools parameter
+ */
+function getToolDefinitions(context = {}) {
+  return Array.from(tools.values())
+    .filter(tool => !tool.isAvailable || tool.isAvailable(context))
+    .map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+}
+
+/**
+ * Run a tool call requested by the model
+ * Failures are returned rather than thrown, so the model can tell the user or try something else
+ * @param {string} name - Tool name
+ * @param {string} argumentsJson - Arguments as the JSON string the model produced
+ * @param {Object} [context] - Conversation context (see the top of this file)
+ * @returns {Promise<{arguments: Object, result?: *, error?: string}>} - Parsed arguments and the handler's result or error
+ */
+async function executeTool(name, argumentsJson, context = {}) {
+  let args = {};
+  try {
+    args = argumentsJson ? JSON.parse(argumentsJson) : {};
+  } catch (error) {
+    return { arguments: {}, error: 'Arguments are not valid JSON' };
+  }
+
+  const tool = tools.get(name);
+  if (!tool || (tool.isAvailable && !tool.isAvailable(context))) {
+    return { arguments: args, error: `Unknown tool: ${name}` };
+  }
+
+  const errors = validateArguments(tool.parameters, args);
+  if (errors.length > 0) {
+    return { arguments: args, error: errors.join('; ') };
+  }
+
+  try {
+    const result = await tool.handler(args, context);
+    return { arguments: args, result: result === undefined ? null : result };
+  } catch (error) {
+    console.error(`Tool ${name} failed:`, error);
+    return { arguments: args, error: error.message };
+  }
+}
+
+// Check arguments against the top level of an object schema: required properties, types and enums
+function validateArguments(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return ['Arguments must be an object'];
+  }
+
+  const errors = [];
+  (schema.required || []).forEach(property => {
+    if (args[property] === undefined) {
+      errors.push(`Missing required argument: ${property}`);
+    }
+  });
+
+  Object.entries(args).forEach(([property, value]) => {
+    const definition = schema.properties?.[property];
+    if (!definition) {
+      if (schema.additionalProperties === false) {
+        errors.push(`Unknown argument: ${property}`);
+      }
+      return;
+    }
+
+    if (PARAMETER_TYPES.includes(definition.type) && valueType(value) !== definition.type &&
+        !(definition.type === 'number' && valueType(value) === 'integer')) {
+      errors.push(`Argument ${property} must be of type ${definition.type}`);
+    }
+    if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+      errors.push(`Argument ${property} must be one of: ${definition.enum.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+function valueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return value === null ? 'null' : typeof value;
+}
+
+// Call control needs the call and its application's private key
+function canControlCall(context) {
+  return Boolean(context.callUuid && context.afterReply && context.applicationId &&
+    credentialVault.hasApplication(context.applicationId));
+}
+
+module.exports = {
+  registerTool,
+  unregisterTool,
+  listTools,
+  getToolDefinitions,
+  executeTool
+};
@@ -0,0 +1,143 @@
+/**
+ * Text-to-speech service
+ * Synthesizes speech through a registry of providers, tried in a configurable
+ * priority order, with a circuit breaker that skips a provider while it keeps failing
+ */
+
+const vonageService = require('./vonageService');
+const openaiService = require('./openaiService');
+
+// Default provider priority, overridden with TTS_PROVIDERS (comma-separated)
+const DEFAULT_PROVIDER_ORDER = ['vonage', 'openai'];
+
+// Consecutive failures that open a provider's circuit, and how long it then stays open
+const FAILURE_THRESHOLD = parseInt(process.env.TTS_BREAKER_THRESHOLD, 10) || 3;
+const COOLDOWN_MS = parseInt(process.env.TTS_BREAKER_COOLDOWN_MS, 10) || 60 * 1000;
+
+// Registered TTS providers, keyed by name
+const providers = new Map();
+
+/**
+ * Register a text-to-speech provider
+ * @param {string} name - Provider name, as used in TTS_PROVIDERS
+ * @param {Object} provider - Provider implementation
+ * @param {string[]} provider.formats - Audio formats the provider can produce (e.g. ['mp3'])
+ * @param {function(string, {voiceType: string, language: string, format: string, signal: AbortSignal}): Promise<Buffer>} provider.synthesize - Synthesize speech
+ */
+function registerProvider(name, provider) {
+  providers.set(name, {
+    ...provider,
+    breaker: { failures: 0, openedAt: null }
+  });
+}
+
+registerProvider('vonage', {
+  formats: ['mp3'],
+  synthesize: (text, { voiceType, language, signal }) => vonageService.textToSpeech(text, voiceType, language, { signal })
+});
+
+registerProvider('openai', {
+  formats: ['mp3', 'pcm'],
+  synthesize: (text, { voiceType, format, signal }) => openaiService.textToSpeech(text, voiceType, { format, signal })
+});
+
+/**
+ * Convert text to speech with the first available provider
+ * @param {string} text - Text to convert to speech
+ * @param {Object} [options] - Synthesis options
+ * @param {string} [options.voiceType] - Voice type (male/female)
+ * @param {string} [options.language] - Language code
+ * @param {string} [options.format] - Audio format: 'mp3' (default) or 'pcm'
+ * @param {AbortSignal} [options.signal] - Cancels synthesis; no other provider is tried
+ * @returns {Promise<{audio: Buffer, provider: string, format: string}>} - Audio and the provider that produced it
+ */
+async function synthesize(text, options = {}) {
+  const request = {
+    voiceType: options.voiceType || 'female',
+    language: options.language || 'en-US',
+    format: options.format || 'mp3',
+    signal: options.signal
+  };
+
+  const candidates = getProviderOrder().filter(name => {
+    const provider = providers.get(name);
+    return provider && provider.formats.includes(request.format);
+  });
+
+  if (candidates.length === 0) {
+    throw new Error(`No TTS provider supports the ${request.format} format`);
+  }
+
+  const errors = [];
+  for (const name of candidates) {
+    const provider = providers.get(name);
+
+    if (isCircuitOpen(provider.breaker)) {
+      errors.push(`${name}: skipped while circuit is open`);
+      continue;
+    }
+
+    try {
+      const audio = await provider.synthesize(text, request);
+      provider.breaker.failures = 0;
+      provider.breaker.openedAt = null;
+      return { audio, provider: name, format: request.format };
+    } catch (error) {
+      // Cancelling is not the provider's fault
+      if (request.signal?.aborted) {
+        throw error;
+      }
+      recordFailure(name, provider.breaker);
+      console.warn(`${name} TTS failed, trying next provider:`, error.message);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All TTS providers failed (${errors.join('; ')})`);
+}
+
+/**
+ * Get the configured providers and the state of their circuit breakers
+ * @returns {Array<{name: string, formats: string[], circuit: string, failures: number}>} - Provider status, in priority order
+ */
+function getProviderStatus() {
+  return getProviderOrder()
+    .filter(name => providers.has(name))
+    .map(name => {
+      const { formats, breaker } = providers.get(name);
+      return {
+        name,
+        formats,
+        circuit: breaker.openedAt === null ? 'closed' : (isCircuitOpen(breaker) ? 'open' : 'half-open'),
+        failures: breaker.failures
+      };
+    });
+}
+
+function getProviderOrder() {
+  if (!process.env.TTS_PROVIDERS) {
+    return DEFAULT_PROVIDER_ORDER;
+  }
+  return process.env.TTS_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// An open circuit lets one trial request through once the cooldown has passed (half-open)
+function isCircuitOpen(breaker) {
+  return breaker.openedAt !== null && Date.now() - breaker.openedAt < COOLDOWN_MS;
+}
+
+function recordFailure(name, breaker) {
+  breaker.failures++;
+  if (breaker.failures >= FAILURE_THRESHOLD) {
+    if (breaker.openedAt === null || !isCircuitOpen(breaker)) {
+      console.warn(`Opening TTS circuit for ${name} for ${COOLDOWN_MS}ms after ${breaker.failures} failures`);
+    }
+    breaker.openedAt = Date.now();
+  }
+}
+
+module.exports = {
+  registerProvider,
+  synthesize,
+  getProviderStatus
+};
@@ -0,0 +1,245 @@
+/**
+ * Vonage helpers shared by the REST and SDK clients (see vonageService.js)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const credentialVault = require('./credentialVault');
+
+// Vonage API credentials
+const VONAGE_API_KEY = process.env.VONAGE_API_KEY;
+const VONAGE_API_SECRET = process.env.VONAGE_API_SECRET;
+
+// Vonage API base URLs (point them at the local emulator in server/emulator for offline development)
+const API_BASE_URL = (process.env.VONAGE_API_BASE_URL || 'https://api.nexmo.com').replace(/\/+$/, '');
+const REST_BASE_URL = (process.env.VONAGE_REST_BASE_URL || 'https://rest.nexmo.com').replace(/\/+$/, '');
+const TTS_URL = `${API_BASE_URL}/v0.1/tts`;
+
+// Application JWTs are reused until they are this close to expiry
+const JWT_LIFETIME_SECONDS = 86400; // 24 hours
+const JWT_REFRESH_MARGIN_SECONDS = 300; // 5 minutes
+
+// Cached JWTs keyed by application ID
+const jwtCache = new Map();
+
+// Actions accepted by the call-modify endpoint that need no extra parameters
+const CALL_ACTIONS = ['hangup', 'mute', 'unmute', 'earmuff', 'unearmuff'];
+
+/**
+ * Convert text to speech using Vonage TTS API
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceType - Voice type (male/female)
+ * @param {string} language - Language code
+ * @param {Object} [options] - Synthesis options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Buffer>} - Audio buffer
+ */
+async function textToSpeech(text, voiceType = 'female', language = 'en-US', options = {}) {
+  // Check if we have valid API credentials
+  if (!VONAGE_API_KEY || !VONAGE_API_SECRET) {
+    throw new Error('Vonage API credentials are missing. Please set VONAGE_API_KEY and VONAGE_API_SECRET environment variables.');
+  }
+
+  try {
+    // Map language to Vonage voice name
+    const voiceName = getVoiceName(language, voiceType);
+    
+    // Check text length - Vonage has limitations on text length
+    const MAX_TEXT_LENGTH = 1500;
+    if (text.length > MAX_TEXT_LENGTH) {
+      console.warn(`Text exceeds Vonage TTS length limit (${text.length} > ${MAX_TEXT_LENGTH}). Truncating...`);
+      text = text.substring(0, MAX_TEXT_LENGTH);
+    }
+    
+    const response = await axios({
+      method: 'post',
+      url: TTS_URL,
+      params: {
+        api_key: VONAGE_API_KEY,
+        api_secret: VONAGE_API_SECRET,
+        text: text,
+        voice: voiceName
+      },
+      responseType: 'arraybuffer',
+      signal: options.signal
+    });
+    
+    return Buffer.from(response.data);
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    console.error('Vonage TTS API error:', error);
+    throw new Error(`Failed to convert text to speech using Vonage: ${error.message}`);
+  }
+}
+
+/**
+ * Get Vonage voice name based on language and voice type
+ * @param {string} language - Language code
+ * @param {string} voiceType - Voice type (male/female)
+ * @returns {string} - Vonage voice name
+ */
+function getVoiceName(language, voiceType) {
+  // Mapping of language codes to Vonage voice names
+  const voiceMap = {
+    'en-US': {
+      female: 'Kimberly',
+      male: 'Matthew'
+    },
+    'en-GB': {
+      female: 'Amy',
+      male: 'Brian'
+    },
+    'es-ES': {
+      female: 'Penelope',
+      male: 'Miguel'
+    },
+    'fr-FR': {
+      female: 'Celine',
+      male: 'Mathieu'
+    },
+    'de-DE': {
+      female: 'Marlene',
+      male: 'Hans'
+    },
+    'it-IT': {
+      female: 'Carla',
+      male: 'Giorgio'
+    },
+    'ja-JP': {
+      female: 'Mizuki',
+      male: 'Takumi'
+    },
+    'zh-CN': {
+      female: 'Zhiyu',
+      male: 'Zhiyu' // Fallback to female for Chinese as some providers don't have both genders
+    }
+  };
+  
+  // Default to US English if language not found
+  const langVoices = voiceMap[language] || voiceMap['en-US'];
+  return langVoices[voiceType] || (voiceType === 'male' ? 'Matthew' : 'Kimberly');
+}
+
+/**
+ * Generate JWT token for Vonage API authentication, reusing a cached token until it nears expiry
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {string} JWT token
+ */
+function generateJWT(applicationId) {
+  const now = Math.floor(Date.now() / 1000);
+  const cached = jwtCache.get(applicationId);
+  if (cached && cached.exp - now > JWT_REFRESH_MARGIN_SECONDS) {
+    return cached.token;
+  }
+  
+  const privateKey = credentialVault.getPrivateKey(applicationId);
+  
+  // Prepare header
+  const header = {
+    typ: 'JWT',
+    alg: 'RS256'
+  };
+  
+  // Prepare payload
+  const payload = {
+    application_id: applicationId,
+    iat: now,
+    exp: now + JWT_LIFETIME_SECONDS,
+    jti: crypto.randomUUID()
+  };
+  
+  // Base64 encode header and payload
+  const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  
+  // Create the signing input
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  
+  // Sign the token
+  const signer = crypto.createSign('RSA-SHA256');
+  signer.update(signingInput);
+  const signature = signer.sign(privateKey, 'base64url');
+  
+  const token = `${signingInput}.${signature}`;
+  jwtCache.set(applicationId, { token, exp: payload.exp });
+  return token;
+}
+
+/**
+ * Drop an application's cached JWT, e.g. after its key pair has changed
+ * @param {string} applicationId - Vonage application ID
+ */
+function forgetJWT(applicationId) {
+  jwtCache.delete(applicationId);
+}
+
+/**
+ * Build the voice capability of an application, in the Applications API format
+ * @param {string} answerUrl - Webhook URL for answer events
+ * @param {string} eventUrl - Webhook URL for call events
+ * @returns {Object} - Capabilities
+ */
+function buildVoiceCapabilities(answerUrl, eventUrl) {
+  return {
+    voice: {
+      webhooks: {
+        answer_url: {
+          address: answerUrl,
+          http_method: "GET"
+        },
+        event_url: {
+          address: eventUrl,
+          http_method: "POST"
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Flatten an application from the Applications API into what the UI needs
+ * @param {Object} application - Application in the API's snake_case format
+ * @returns {Object} - Application summary, with whether this server holds its private key
+ */
+function toApplicationSummary(application) {
+  const webhooks = application.capabilities?.voice?.webhooks || {};
+  return {
+    id: application.id,
+    name: application.name,
+    answerUrl: webhooks.answer_url?.address || null,
+    eventUrl: webhooks.event_url?.address || null,
+    hasCredentials: credentialVault.hasApplication(application.id)
+  };
+}
+
+/**
+ * Flatten a number from the Numbers API into what the UI needs
+ * @param {Object} number - Number in the API's format
+ * @returns {Object} - Number summary
+ */
+function toNumberSummary(number) {
+  return {
+    msisdn: number.msisdn,
+    country: number.country,
+    type: number.type,
+    features: number.features || [],
+    applicationId: number.app_id || null
+  };
+}
+
+module.exports = {
+  VONAGE_API_KEY,
+  VONAGE_API_SECRET,
+  API_BASE_URL,
+  REST_BASE_URL,
+  CALL_ACTIONS,
+  generateJWT,
+  forgetJWT,
+  textToSpeech,
+  getVoiceName,
+  buildVoiceCapabilities,
+  toApplicationSummary,
+  toNumberSummary
+};
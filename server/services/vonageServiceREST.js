@@ -1,209 +1,381 @@
 /**
- * Vonage API Service using REST API directly
+ * Vonage client that calls the REST APIs directly (VONAGE_BACKEND=rest, the default)
  */
 
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
-
-// Vonage API credentials
-const VONAGE_API_KEY = process.env.VONAGE_API_KEY;
-const VONAGE_API_SECRET = process.env.VONAGE_API_SECRET;
+const credentialVault = require('./credentialVault');
+const {
+  VONAGE_API_KEY,
+  VONAGE_API_SECRET,
+  API_BASE_URL,
+  REST_BASE_URL,
+  CALL_ACTIONS,
+  generateJWT,
+  forgetJWT,
+  textToSpeech,
+  getVoiceName,
+  buildVoiceCapabilities,
+  toApplicationSummary,
+  toNumberSummary
+} = require('./vonageCommon');
 
 // Vonage API endpoints
-const API_BASE_URL = 'https://api.nexmo.com';
 const APPLICATIONS_URL = `${API_BASE_URL}/v2/applications`;
 const CALLS_URL = `${API_BASE_URL}/v1/calls`;
-const TTS_URL = `${API_BASE_URL}/v0.1/tts`;
+
+// Vonage Numbers API endpoints
+const OWNED_NUMBERS_URL = `${REST_BASE_URL}/account/numbers`;
+const NUMBER_SEARCH_URL = `${REST_BASE_URL}/number/search`;
+const NUMBER_BUY_URL = `${REST_BASE_URL}/number/buy`;
+const NUMBER_CANCEL_URL = `${REST_BASE_URL}/number/cancel`;
+const NUMBER_UPDATE_URL = `${REST_BASE_URL}/number/update`;
 
 /**
- * Convert text to speech using Vonage TTS API
- * @param {string} text - Text to convert to speech
- * @param {string} voiceType - Voice type (male/female)
- * @param {string} language - Language code
- * @returns {Promise<Buffer>} - Audio buffer
+ * Create a Vonage voice application for call capabilities
+ * @param {string} name - Application name
+ * @param {string} answerUrl - Webhook URL for answer events
+ * @param {string} eventUrl - Webhook URL for call events
+ * @returns {Promise<Object>} Application details
  */
-async function textToSpeech(text, voiceType = 'female', language = 'en-US') {
-  // Check if we have valid API credentials
-  if (!VONAGE_API_KEY || !VONAGE_API_SECRET) {
-    throw new Error('Vonage API credentials are missing. Please set VONAGE_API_KEY and VONAGE_API_SECRET environment variables.');
-  }
-
+async function createVoiceApplication(name, answerUrl, eventUrl) {
   try {
-    // Map language to Vonage voice name
-    const voiceName = getVoiceName(language, voiceType);
-    
-    // Check text length - Vonage has limitations on text length
-    const MAX_TEXT_LENGTH = 1500;
-    if (text.length > MAX_TEXT_LENGTH) {
-      console.warn(`Text exceeds Vonage TTS length limit (${text.length} > ${MAX_TEXT_LENGTH}). Truncating...`);
-      text = text.substring(0, MAX_TEXT_LENGTH);
-    }
+    console.log('Creating Vonage application using REST API:', name);
+    console.log('Using webhooks:', { answerUrl, eventUrl });
     
+    // Application payload
+    const applicationData = {
+      name,
+      capabilities: buildVoiceCapabilities(answerUrl, eventUrl)
+    };
+    
+    // Create application using REST API
     const response = await axios({
       method: 'post',
-      url: TTS_URL,
-      params: {
-        api_key: VONAGE_API_KEY,
-        api_secret: VONAGE_API_SECRET,
-        text: text,
-        voice: voiceName
+      url: APPLICATIONS_URL,
+      headers: {
+        'Authorization': getBasicAuthHeader(),
+        'Content-Type': 'application/json'
       },
-      responseType: 'arraybuffer'
+      data: applicationData
     });
     
-    return Buffer.from(response.data);
+    console.log('Successfully created Vonage application with REST API:', response.data.id);
+    
+    // Keep the private key on the server; callers only get the application reference
+    const { keys, ...application } = response.data;
+    credentialVault.storeApplication(application.id, keys.private_key, { name: application.name });
+    
+    return {
+      ...application,
+      keys: { public_key: keys.public_key }
+    };
   } catch (error) {
-    console.error('Vonage TTS API error:', error);
-    throw new Error(`Failed to convert text to speech using Vonage: ${error.message}`);
+    console.error('Error creating Vonage application with REST API:', error.response?.data || error.message);
+    throw error;
   }
 }
 
 /**
- * Get Vonage voice name based on language and voice type
- * @param {string} language - Language code
- * @param {string} voiceType - Voice type (male/female)
- * @returns {string} - Vonage voice name
+ * List the Vonage applications on the account
+ * @returns {Promise<Array<Object>>} Applications, with whether this server holds their private key
  */
-function getVoiceName(language, voiceType) {
-  // Mapping of language codes to Vonage voice names
-  const voiceMap = {
-    'en-US': {
-      female: 'Kimberly',
-      male: 'Matthew'
-    },
-    'en-GB': {
-      female: 'Amy',
-      male: 'Brian'
-    },
-    'es-ES': {
-      female: 'Penelope',
-      male: 'Miguel'
-    },
-    'fr-FR': {
-      female: 'Celine',
-      male: 'Mathieu'
-    },
-    'de-DE': {
-      female: 'Marlene',
-      male: 'Hans'
-    },
-    'it-IT': {
-      female: 'Carla',
-      male: 'Giorgio'
-    },
-    'ja-JP': {
-      female: 'Mizuki',
-      male: 'Takumi'
-    },
-    'zh-CN': {
-      female: 'Zhiyu',
-      male: 'Zhiyu' // Fallback to female for Chinese as some providers don't have both genders
-    }
-  };
-  
-  // Default to US English if language not found
-  const langVoices = voiceMap[language] || voiceMap['en-US'];
-  return langVoices[voiceType] || (voiceType === 'male' ? 'Matthew' : 'Kimberly');
+async function listApplications() {
+  try {
+    console.log('Listing Vonage applications using REST API');
+    
+    const applications = [];
+    let page = 1;
+    let totalPages = 1;
+    
+    do {
+      const response = await axios({
+        method: 'get',
+        url: APPLICATIONS_URL,
+        headers: { 'Authorization': getBasicAuthHeader() },
+        params: { page_size: 100, page }
+      });
+      
+      applications.push(...(response.data._embedded?.applications || []));
+      totalPages = response.data.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+    
+    return applications.map(toApplicationSummary);
+  } catch (error) {
+    console.error('Error listing Vonage applications with REST API:', error.response?.data || error.message);
+    throw error;
+  }
 }
 
 /**
- * Create a Vonage voice application for call capabilities
- * @param {string} name - Application name
- * @param {string} answerUrl - Webhook URL for answer events
- * @param {string} eventUrl - Webhook URL for call events
+ * Get a Vonage application
+ * @param {string} applicationId - Vonage application ID
  * @returns {Promise<Object>} Application details
  */
-async function createVoiceApplication(name, answerUrl, eventUrl) {
+async function getApplication(applicationId) {
   try {
-    console.log('Creating Vonage application using REST API:', name);
-    console.log('Using webhooks:', { answerUrl, eventUrl });
+    const response = await axios({
+      method: 'get',
+      url: `${APPLICATIONS_URL}/${encodeURIComponent(applicationId)}`,
+      headers: { 'Authorization': getBasicAuthHeader() }
+    });
+    
+    return toApplicationSummary(response.data);
+  } catch (error) {
+    console.error('Error getting Vonage application with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
 
-    // Basic auth for Vonage API
-    const auth = Buffer.from(`${VONAGE_API_KEY}:${VONAGE_API_SECRET}`).toString('base64');
+/**
+ * Update a Vonage application's name and/or voice webhook URLs
+ * @param {string} applicationId - Vonage application ID
+ * @param {Object} changes - Fields to change; anything omitted keeps its current value
+ * @param {string} [changes.name] - New application name
+ * @param {string} [changes.answerUrl] - New webhook URL for answer events
+ * @param {string} [changes.eventUrl] - New webhook URL for call events
+ * @returns {Promise<Object>} Updated application details
+ */
+async function updateApplication(applicationId, changes = {}) {
+  try {
+    console.log('Updating Vonage application using REST API:', applicationId);
     
-    // Application payload
-    const applicationData = {
-      name,
-      capabilities: {
-        voice: {
-          webhooks: {
-            answer_url: {
-              address: answerUrl,
-              http_method: "GET"
-            },
-            event_url: {
-              address: eventUrl,
-              http_method: "POST"
-            }
-          }
+    const current = await getApplication(applicationId);
+    
+    return await putApplication(applicationId, {
+      name: changes.name || current.name,
+      capabilities: buildVoiceCapabilities(
+        changes.answerUrl || current.answerUrl,
+        changes.eventUrl || current.eventUrl
+      )
+    });
+  } catch (error) {
+    console.error('Error updating Vonage application with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace a Vonage application's key pair, storing the new private key in the credential vault
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<Object>} Updated application details
+ */
+async function rotateApplicationKey(applicationId) {
+  try {
+    console.log('Rotating key for Vonage application using REST API:', applicationId);
+    
+    const current = await getApplication(applicationId);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    
+    const application = await putApplication(applicationId, {
+      name: current.name,
+      capabilities: buildVoiceCapabilities(current.answerUrl, current.eventUrl),
+      keys: { public_key: publicKey }
+    });
+    
+    // Tokens signed with the old key are no longer accepted
+    credentialVault.storeApplication(applicationId, privateKey, { name: application.name });
+    forgetJWT(applicationId);
+    
+    return { ...application, hasCredentials: true };
+  } catch (error) {
+    console.error('Error rotating Vonage application key with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a Vonage application and forget its credentials
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<void>}
+ */
+async function deleteApplication(applicationId) {
+  try {
+    console.log('Deleting Vonage application using REST API:', applicationId);
+    
+    await axios({
+      method: 'delete',
+      url: `${APPLICATIONS_URL}/${encodeURIComponent(applicationId)}`,
+      headers: { 'Authorization': getBasicAuthHeader() }
+    });
+    
+    credentialVault.removeApplication(applicationId);
+    forgetJWT(applicationId);
+  } catch (error) {
+    console.error('Error deleting Vonage application with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// The applications API replaces the whole application on PUT, so callers pass every field
+async function putApplication(applicationId, applicationData) {
+  const response = await axios({
+    method: 'put',
+    url: `${APPLICATIONS_URL}/${encodeURIComponent(applicationId)}`,
+    headers: {
+      'Authorization': getBasicAuthHeader(),
+      'Content-Type': 'application/json'
+    },
+    data: applicationData
+  });
+  
+  return toApplicationSummary(response.data);
+}
+
+function getBasicAuthHeader() {
+  return `Basic ${Buffer.from(`${VONAGE_API_KEY}:${VONAGE_API_SECRET}`).toString('base64')}`;
+}
+
+/**
+ * List the numbers owned by the account
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.applicationId] - Only numbers linked to this application
+ * @returns {Promise<Array<Object>>} Owned numbers
+ */
+async function listNumbers(filters = {}) {
+  try {
+    console.log('Listing owned Vonage numbers using REST API');
+    
+    const numbers = [];
+    let index = 1;
+    let count = 0;
+    
+    do {
+      const response = await axios({
+        method: 'get',
+        url: OWNED_NUMBERS_URL,
+        headers: { 'Authorization': getBasicAuthHeader() },
+        params: {
+          application_id: filters.applicationId,
+          size: 100,
+          index
         }
+      });
+      
+      numbers.push(...(response.data.numbers || []));
+      count = response.data.count || 0;
+      index++;
+    } while (numbers.length < count);
+    
+    return numbers.map(toNumberSummary);
+  } catch (error) {
+    console.error('Error listing Vonage numbers with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Search for numbers available to buy
+ * @param {Object} criteria - Search criteria
+ * @param {string} criteria.country - Two-letter country code (e.g. US)
+ * @param {string} [criteria.features] - Required features, comma-separated (e.g. VOICE or SMS,VOICE)
+ * @param {string} [criteria.type] - Number type: landline, mobile-lvn or landline-toll-free
+ * @param {string} [criteria.pattern] - Digits the number must start with
+ * @returns {Promise<Array<Object>>} Available numbers with their monthly cost
+ */
+async function searchNumbers({ country, features, type, pattern }) {
+  try {
+    console.log('Searching available Vonage numbers using REST API in:', country);
+    
+    const response = await axios({
+      method: 'get',
+      url: NUMBER_SEARCH_URL,
+      headers: { 'Authorization': getBasicAuthHeader() },
+      params: {
+        country,
+        features,
+        type,
+        pattern,
+        search_pattern: pattern ? 0 : undefined,
+        size: 50
       }
-    };
+    });
     
-    // Create application using REST API
+    return (response.data.numbers || []).map(number => ({
+      ...toNumberSummary(number),
+      cost: number.cost
+    }));
+  } catch (error) {
+    console.error('Error searching Vonage numbers with REST API:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Buy a number
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to buy, in E.164 format without the leading +
+ * @returns {Promise<void>}
+ */
+async function buyNumber(country, msisdn) {
+  console.log('Buying Vonage number using REST API:', msisdn);
+  await postNumbersForm(NUMBER_BUY_URL, { country, msisdn }, 'buying');
+}
+
+/**
+ * Cancel a number so it is no longer billed
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to cancel, in E.164 format without the leading +
+ * @returns {Promise<void>}
+ */
+async function cancelNumber(country, msisdn) {
+  console.log('Cancelling Vonage number using REST API:', msisdn);
+  await postNumbersForm(NUMBER_CANCEL_URL, { country, msisdn }, 'cancelling');
+}
+
+/**
+ * Link a number to an application, so inbound calls use the application's answer and event webhooks
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to link, in E.164 format without the leading +
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<void>}
+ */
+async function linkNumber(country, msisdn, applicationId) {
+  console.log('Linking Vonage number', msisdn, 'to application:', applicationId);
+  await postNumbersForm(NUMBER_UPDATE_URL, { country, msisdn, app_id: applicationId }, 'linking');
+}
+
+// Buy, cancel and update take a form body and report failures in "error-code" as well as the HTTP status
+async function postNumbersForm(url, fields, action) {
+  try {
     const response = await axios({
       method: 'post',
-      url: APPLICATIONS_URL,
+      url,
       headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
+        'Authorization': getBasicAuthHeader(),
+        'Content-Type': 'application/x-www-form-urlencoded'
       },
-      data: applicationData
+      data: new URLSearchParams(fields).toString()
     });
     
-    console.log('Successfully created Vonage application with REST API:', response.data.id);
-    return response.data;
+    if (response.data['error-code'] && response.data['error-code'] !== '200') {
+      throw new Error(response.data['error-code-label'] || `Vonage error ${response.data['error-code']}`);
+    }
   } catch (error) {
-    console.error('Error creating Vonage application with REST API:', error.response?.data || error.message);
+    console.error(`Error ${action} Vonage number with REST API:`, error.response?.data || error.message);
     throw error;
   }
 }
 
 /**
- * Start a voice call with recording capability
+ * Start a voice call
  * @param {string} to - Phone number to call
  * @param {string} from - Your Vonage virtual number
- * @param {boolean} record - Whether to record the call
- * @param {string} applicationId - Vonage application ID
- * @param {string} privateKey - Private key for the application
+ * @param {Array<Object>} ncco - Call flow, usually rendered by callFlowService
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
  * @returns {Promise<Object>} Call information
  */
-async function startCall(to, from, record = true, applicationId, privateKey) {
+async function startCall(to, from, ncco, applicationId) {
   try {
     console.log('Starting call using Vonage REST API to:', to, 'from:', from);
     
     // Create JWT token for authentication
-    const token = generateJWT(applicationId, privateKey);
-    
-    // NCCO (Nexmo Call Control Object) for call flow
-    const ncco = [
-      {
-        action: 'talk',
-        text: 'This call will be recorded for quality assurance. Press star to end the call.',
-        voiceName: 'Amy'
-      }
-    ];
-    
-    // Add recording if enabled
-    if (record) {
-      ncco.push({
-        action: 'record',
-        eventUrl: [`${process.env.BASE_URL || 'https://example.com'}/api/vonage/recordings`],
-        beepStart: true,
-        endOnSilence: 5,
-        endOnKey: '*'
-      });
-    }
-    
-    // Add conversation action
-    ncco.push({
-      action: 'conversation',
-      name: `conversation-${Date.now()}`,
-      startOnEnter: true,
-      endOnExit: true
-    });
+    const token = generateJWT(applicationId);
     
     // Call payload
     const callData = {
@@ -234,16 +406,15 @@ async function startCall(to, from, record = true, applicationId, privateKey) {
 /**
  * Get information about a specific call
  * @param {string} callUuid - UUID of the call
- * @param {string} applicationId - Vonage application ID
- * @param {string} privateKey - Private key for the application
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
  * @returns {Promise<Object>} Call details
  */
-async function getCallInfo(callUuid, applicationId, privateKey) {
+async function getCallInfo(callUuid, applicationId) {
   try {
     console.log('Getting call info using Vonage REST API for UUID:', callUuid);
     
     // Create JWT token for authentication
-    const token = generateJWT(applicationId, privateKey);
+    const token = generateJWT(applicationId);
     
     // Get call information
     const response = await axios({
@@ -262,93 +433,147 @@ async function getCallInfo(callUuid, applicationId, privateKey) {
 }
 
 /**
- * Get a list of recordings from local storage
- * @param {string} applicationId - Vonage application ID (used for filtering)
- * @param {string} privateKey - Private key for the application (not used but kept for API compatibility)
- * @returns {Promise<Array>} List of recordings
+ * Modify a call in progress: hang up, mute/unmute it, or earmuff/unearmuff it (stop it hearing the other party)
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} action - One of hangup, mute, unmute, earmuff or unearmuff
+ * @returns {Promise<void>}
  */
-async function getRecordings(applicationId, privateKey) {
+async function modifyCall(callUuid, applicationId, action) {
+  if (!CALL_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported call action: ${action}`);
+  }
+  
+  console.log(`Sending ${action} to call ${callUuid} using Vonage REST API`);
+  await sendCallRequest('put', callUuid, '', applicationId, { action });
+}
+
+/**
+ * Transfer a call in progress to a new call flow
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {Array<Object>} ncco - NCCO the call continues with
+ * @returns {Promise<void>}
+ */
+async function transferCall(callUuid, applicationId, ncco) {
+  console.log(`Transferring call ${callUuid} to a new NCCO using Vonage REST API`);
+  await sendCallRequest('put', callUuid, '', applicationId, {
+    action: 'transfer',
+    destination: { type: 'ncco', ncco }
+  });
+}
+
+/**
+ * Speak text into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} text - Text to speak
+ * @param {Object} [options] - Talk options
+ * @param {string} [options.language] - Language code (defaults to en-US)
+ * @param {number} [options.loop] - Times to repeat, 0 for until stopped (defaults to 1)
+ * @returns {Promise<void>}
+ */
+async function playTalk(callUuid, applicationId, text, options = {}) {
+  console.log(`Speaking into call ${callUuid} using Vonage REST API`);
+  await sendCallRequest('put', callUuid, '/talk', applicationId, {
+    text,
+    language: options.language || 'en-US',
+    loop: options.loop ?? 1
+  });
+}
+
+/**
+ * Stop text being spoken into a call
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<void>}
+ */
+async function stopTalk(callUuid, applicationId) {
+  await sendCallRequest('delete', callUuid, '/talk', applicationId);
+}
+
+/**
+ * Play an audio file into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} streamUrl - URL of an MP3 or WAV file
+ * @param {Object} [options] - Stream options
+ * @param {number} [options.loop] - Times to repeat, 0 for until stopped (defaults to 1)
+ * @returns {Promise<void>}
+ */
+async function playStream(callUuid, applicationId, streamUrl, options = {}) {
+  console.log(`Playing ${streamUrl} into call ${callUuid} using Vonage REST API`);
+  await sendCallRequest('put', callUuid, '/stream', applicationId, {
+    stream_url: [streamUrl],
+    loop: options.loop ?? 1
+  });
+}
+
+/**
+ * Stop an audio file playing into a call
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<void>}
+ */
+async function stopStream(callUuid, applicationId) {
+  await sendCallRequest('delete', callUuid, '/stream', applicationId);
+}
+
+/**
+ * Send DTMF tones into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} digits - Digits 0-9, * and #, with p for a 500ms pause
+ * @returns {Promise<void>}
+ */
+async function sendDtmf(callUuid, applicationId, digits) {
+  console.log(`Sending DTMF to call ${callUuid} using Vonage REST API`);
+  await sendCallRequest('put', callUuid, '/dtmf', applicationId, { digits });
+}
+
+// Authenticated request to a call's endpoint (suffix is '', '/talk', '/stream' or '/dtmf')
+async function sendCallRequest(method, callUuid, suffix, applicationId, data) {
   try {
-    console.log('Getting recordings from local storage for application:', applicationId);
-    
-    // Path to recordings directory
-    const recordingsDir = path.join(__dirname, '../../recordings');
+    const token = generateJWT(applicationId);
     
-    // Create the directory if it doesn't exist
-    if (!fs.existsSync(recordingsDir)) {
-      fs.mkdirSync(recordingsDir, { recursive: true });
-      return [];
-    }
-    
-    // Read the directory for MP3 files
-    const files = fs.readdirSync(recordingsDir);
-    
-    // Filter for MP3 files and create recording objects
-    const recordings = files
-      .filter(file => file.endsWith('.mp3'))
-      .map(file => {
-        const stats = fs.statSync(path.join(recordingsDir, file));
-        return {
-          id: file.replace('.mp3', ''),
-          timestamp: stats.mtime.toISOString(),
-          duration: Math.floor(stats.size / 16000), // Rough estimate of duration based on file size
-          size: stats.size,
-          status: 'completed',
-          format: 'mp3',
-          filePath: path.join(recordingsDir, file)
-        };
-      });
+    const response = await axios({
+      method,
+      url: `${CALLS_URL}/${encodeURIComponent(callUuid)}${suffix}`,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      data
+    });
     
-    console.log(`Found ${recordings.length} recordings in ${recordingsDir}`);
-    return recordings;
+    return response.data;
   } catch (error) {
-    console.error('Error getting recordings from local storage:', error);
+    console.error(`Error calling ${method.toUpperCase()} ${suffix || '/'} for call ${callUuid} with REST API:`, error.response?.data || error.message);
     throw error;
   }
 }
 
-/**
- * Generate JWT token for Vonage API authentication
- * @param {string} applicationId - Vonage application ID
- * @param {string} privateKey - Private key for the application
- * @returns {string} JWT token
- */
-function generateJWT(applicationId, privateKey) {
-  // Prepare header
-  const header = {
-    typ: 'JWT',
-    alg: 'RS256'
-  };
-  
-  // Prepare payload
-  const payload = {
-    application_id: applicationId,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 86400, // 24 hours
-    jti: crypto.randomUUID()
-  };
-  
-  // Base64 encode header and payload
-  const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
-  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
-  
-  // Create the signing input
-  const signingInput = `${encodedHeader}.${encodedPayload}`;
-  
-  // Sign the token
-  const signer = crypto.createSign('RSA-SHA256');
-  signer.update(signingInput);
-  const signature = signer.sign(privateKey, 'base64url');
-  
-  // Return the complete JWT
-  return `${signingInput}.${signature}`;
-}
-
 module.exports = {
   textToSpeech,
   getVoiceName,
   createVoiceApplication,
+  listApplications,
+  getApplication,
+  updateApplication,
+  rotateApplicationKey,
+  deleteApplication,
+  listNumbers,
+  searchNumbers,
+  buyNumber,
+  cancelNumber,
+  linkNumber,
   startCall,
   getCallInfo,
-  getRecordings
+  modifyCall,
+  transferCall,
+  playTalk,
+  stopTalk,
+  playStream,
+  stopStream,
+  sendDtmf
 };
\ No newline at end of file
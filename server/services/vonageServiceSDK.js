@@ -0,0 +1,523 @@
+/**
+ * Vonage client built on @vonage/server-sdk v3 (VONAGE_BACKEND=sdk)
+ * Results are converted to the same shapes the REST client returns
+ */
+
+const crypto = require('crypto');
+const { Vonage } = require('@vonage/server-sdk');
+const { Client } = require('@vonage/server-client');
+const credentialVault = require('./credentialVault');
+const {
+  VONAGE_API_KEY,
+  VONAGE_API_SECRET,
+  API_BASE_URL,
+  REST_BASE_URL,
+  CALL_ACTIONS,
+  generateJWT,
+  forgetJWT,
+  textToSpeech,
+  getVoiceName,
+  buildVoiceCapabilities,
+  toApplicationSummary,
+  toNumberSummary
+} = require('./vonageCommon');
+
+const SDK_OPTIONS = { apiHost: API_BASE_URL, restHost: REST_BASE_URL };
+
+// Applications and Numbers use the account's API key and secret
+const accountClient = new Vonage({ apiKey: VONAGE_API_KEY, apiSecret: VONAGE_API_SECRET }, SDK_OPTIONS);
+
+// Voice API clients keyed by application ID
+const applicationClients = new Map();
+
+// The SDK maps call-modify actions to one method each
+const CALL_ACTION_METHODS = {
+  hangup: 'hangupCall',
+  mute: 'muteCall',
+  unmute: 'unmuteCall',
+  earmuff: 'earmuffCall',
+  unearmuff: 'unearmuffCall'
+};
+
+/**
+ * Create a Vonage voice application for call capabilities
+ * @param {string} name - Application name
+ * @param {string} answerUrl - Webhook URL for answer events
+ * @param {string} eventUrl - Webhook URL for call events
+ * @returns {Promise<Object>} Application details
+ */
+async function createVoiceApplication(name, answerUrl, eventUrl) {
+  try {
+    console.log('Creating Vonage application using the SDK:', name);
+    console.log('Using webhooks:', { answerUrl, eventUrl });
+
+    const created = await accountClient.applications.createApplication({
+      name,
+      capabilities: buildVoiceCapabilities(answerUrl, eventUrl)
+    });
+
+    console.log('Successfully created Vonage application with the SDK:', created.id);
+
+    // Keep the private key on the server; callers only get the application reference
+    const { keys, ...application } = toApiFormat(created);
+    credentialVault.storeApplication(application.id, keys.private_key, { name: application.name });
+
+    return {
+      ...application,
+      keys: { public_key: keys.public_key }
+    };
+  } catch (error) {
+    throw await logSdkError('Error creating Vonage application with the SDK', error);
+  }
+}
+
+/**
+ * List the Vonage applications on the account
+ * @returns {Promise<Array<Object>>} Applications, with whether this server holds their private key
+ */
+async function listApplications() {
+  try {
+    console.log('Listing Vonage applications using the SDK');
+
+    const applications = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await accountClient.applications.getApplicationPage({ pageSize: 100, page });
+      applications.push(...(response._embedded?.applications || []));
+      totalPages = response.totalPages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return applications.map(application => toApplicationSummary(toApiFormat(application)));
+  } catch (error) {
+    throw await logSdkError('Error listing Vonage applications with the SDK', error);
+  }
+}
+
+/**
+ * Get a Vonage application
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<Object>} Application details
+ */
+async function getApplication(applicationId) {
+  try {
+    const application = await accountClient.applications.getApplication(applicationId);
+    return toApplicationSummary(toApiFormat(application));
+  } catch (error) {
+    throw await logSdkError('Error getting Vonage application with the SDK', error);
+  }
+}
+
+/**
+ * Update a Vonage application's name and/or voice webhook URLs
+ * @param {string} applicationId - Vonage application ID
+ * @param {Object} changes - Fields to change; anything omitted keeps its current value
+ * @param {string} [changes.name] - New application name
+ * @param {string} [changes.answerUrl] - New webhook URL for answer events
+ * @param {string} [changes.eventUrl] - New webhook URL for call events
+ * @returns {Promise<Object>} Updated application details
+ */
+async function updateApplication(applicationId, changes = {}) {
+  console.log('Updating Vonage application using the SDK:', applicationId);
+
+  const current = await getApplication(applicationId);
+
+  try {
+    const application = await accountClient.applications.updateApplication({
+      id: applicationId,
+      name: changes.name || current.name,
+      capabilities: buildVoiceCapabilities(
+        changes.answerUrl || current.answerUrl,
+        changes.eventUrl || current.eventUrl
+      )
+    });
+
+    return toApplicationSummary(toApiFormat(application));
+  } catch (error) {
+    throw await logSdkError('Error updating Vonage application with the SDK', error);
+  }
+}
+
+/**
+ * Replace a Vonage application's key pair, storing the new private key in the credential vault
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<Object>} Updated application details
+ */
+async function rotateApplicationKey(applicationId) {
+  console.log('Rotating key for Vonage application using the SDK:', applicationId);
+
+  const current = await getApplication(applicationId);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  try {
+    const application = await accountClient.applications.updateApplication({
+      id: applicationId,
+      name: current.name,
+      capabilities: buildVoiceCapabilities(current.answerUrl, current.eventUrl),
+      keys: { public_key: publicKey }
+    });
+
+    // Tokens signed with the old key are no longer accepted
+    credentialVault.storeApplication(applicationId, privateKey, { name: application.name });
+    forgetApplicationClient(applicationId);
+
+    return { ...toApplicationSummary(toApiFormat(application)), hasCredentials: true };
+  } catch (error) {
+    throw await logSdkError('Error rotating Vonage application key with the SDK', error);
+  }
+}
+
+/**
+ * Delete a Vonage application and forget its credentials
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<void>}
+ */
+async function deleteApplication(applicationId) {
+  try {
+    console.log('Deleting Vonage application using the SDK:', applicationId);
+
+    await accountClient.applications.deleteApplication(applicationId);
+    credentialVault.removeApplication(applicationId);
+    forgetApplicationClient(applicationId);
+  } catch (error) {
+    throw await logSdkError('Error deleting Vonage application with the SDK', error);
+  }
+}
+
+/**
+ * List the numbers owned by the account
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.applicationId] - Only numbers linked to this application
+ * @returns {Promise<Array<Object>>} Owned numbers
+ */
+async function listNumbers(filters = {}) {
+  try {
+    console.log('Listing owned Vonage numbers using the SDK');
+
+    const numbers = [];
+    let index = 1;
+    let count = 0;
+
+    do {
+      const response = await accountClient.numbers.getOwnedNumbers({
+        applicationId: filters.applicationId,
+        size: 100,
+        index
+      });
+
+      numbers.push(...(response.numbers || []));
+      count = response.count || 0;
+      index++;
+    } while (numbers.length < count);
+
+    return numbers.map(toNumberSummary);
+  } catch (error) {
+    throw await logSdkError('Error listing Vonage numbers with the SDK', error);
+  }
+}
+
+/**
+ * Search for numbers available to buy
+ * @param {Object} criteria - Search criteria
+ * @param {string} criteria.country - Two-letter country code (e.g. US)
+ * @param {string} [criteria.features] - Required features, comma-separated (e.g. VOICE or SMS,VOICE)
+ * @param {string} [criteria.type] - Number type: landline, mobile-lvn or landline-toll-free
+ * @param {string} [criteria.pattern] - Digits the number must start with
+ * @returns {Promise<Array<Object>>} Available numbers with their monthly cost
+ */
+async function searchNumbers({ country, features, type, pattern }) {
+  try {
+    console.log('Searching available Vonage numbers using the SDK in:', country);
+
+    const response = await accountClient.numbers.getAvailableNumbers({
+      country,
+      // The SDK takes features as an array and sorts them into the order the API expects
+      features: features ? features.split(',') : undefined,
+      type,
+      pattern,
+      searchPattern: 0,
+      size: 50
+    });
+
+    return (response.numbers || []).map(number => ({
+      ...toNumberSummary(number),
+      cost: number.cost
+    }));
+  } catch (error) {
+    throw await logSdkError('Error searching Vonage numbers with the SDK', error);
+  }
+}
+
+/**
+ * Buy a number
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to buy, in E.164 format without the leading +
+ * @returns {Promise<void>}
+ */
+async function buyNumber(country, msisdn) {
+  console.log('Buying Vonage number using the SDK:', msisdn);
+  await sendNumbersRequest('buyNumber', { country, msisdn }, 'buying');
+}
+
+/**
+ * Cancel a number so it is no longer billed
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to cancel, in E.164 format without the leading +
+ * @returns {Promise<void>}
+ */
+async function cancelNumber(country, msisdn) {
+  console.log('Cancelling Vonage number using the SDK:', msisdn);
+  await sendNumbersRequest('cancelNumber', { country, msisdn }, 'cancelling');
+}
+
+/**
+ * Link a number to an application, so inbound calls use the application's answer and event webhooks
+ * @param {string} country - Two-letter country code
+ * @param {string} msisdn - Number to link, in E.164 format without the leading +
+ * @param {string} applicationId - Vonage application ID
+ * @returns {Promise<void>}
+ */
+async function linkNumber(country, msisdn, applicationId) {
+  console.log('Linking Vonage number', msisdn, 'to application:', applicationId);
+  await sendNumbersRequest('updateNumber', { country, msisdn, applicationId }, 'linking');
+}
+
+// The SDK resolves buy, cancel and update with the API's error code rather than rejecting
+async function sendNumbersRequest(method, params, action) {
+  let result;
+  try {
+    result = await accountClient.numbers[method](params);
+  } catch (error) {
+    throw await logSdkError(`Error ${action} Vonage number with the SDK`, error);
+  }
+
+  if (result.errorCode && result.errorCode !== '200') {
+    console.error(`Error ${action} Vonage number with the SDK:`, result);
+    throw new Error(result.errorCodeLabel || `Vonage error ${result.errorCode}`);
+  }
+}
+
+/**
+ * Start a voice call
+ * @param {string} to - Phone number to call
+ * @param {string} from - Your Vonage virtual number
+ * @param {Array<Object>} ncco - Call flow, usually rendered by callFlowService
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<Object>} Call information
+ */
+async function startCall(to, from, ncco, applicationId) {
+  try {
+    console.log('Starting call using the Vonage SDK to:', to, 'from:', from);
+
+    const result = await getApplicationClient(applicationId).voice.createOutboundCall({
+      to: [{ type: 'phone', number: to }],
+      from: { type: 'phone', number: from },
+      ncco
+    });
+
+    const call = {
+      uuid: result.uuid,
+      status: result.status,
+      direction: result.direction,
+      conversation_uuid: result.conversationUUID
+    };
+    console.log('Call started successfully with the SDK:', call);
+    return call;
+  } catch (error) {
+    throw await logSdkError('Error starting call with the SDK', error);
+  }
+}
+
+/**
+ * Get information about a specific call
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<Object>} Call details
+ */
+async function getCallInfo(callUuid, applicationId) {
+  try {
+    console.log('Getting call info using the Vonage SDK for UUID:', callUuid);
+
+    const call = await getApplicationClient(applicationId).voice.getCall(callUuid);
+    return toApiFormat(call);
+  } catch (error) {
+    throw await logSdkError('Error getting call info with the SDK', error);
+  }
+}
+
+/**
+ * Modify a call in progress: hang up, mute/unmute it, or earmuff/unearmuff it (stop it hearing the other party)
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} action - One of hangup, mute, unmute, earmuff or unearmuff
+ * @returns {Promise<void>}
+ */
+async function modifyCall(callUuid, applicationId, action) {
+  if (!CALL_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported call action: ${action}`);
+  }
+
+  console.log(`Sending ${action} to call ${callUuid} using the Vonage SDK`);
+  await sendCallRequest(callUuid, applicationId, action, voice => voice[CALL_ACTION_METHODS[action]](callUuid));
+}
+
+/**
+ * Transfer a call in progress to a new call flow
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {Array<Object>} ncco - NCCO the call continues with
+ * @returns {Promise<void>}
+ */
+async function transferCall(callUuid, applicationId, ncco) {
+  console.log(`Transferring call ${callUuid} to a new NCCO using the Vonage SDK`);
+  // transferCallWithNCCO rewrites the NCCO's keys, so send the rendered flow as-is
+  await sendCallRequest(callUuid, applicationId, 'transfer', voice => voice.callAction(callUuid, 'transfer', { type: 'ncco', ncco }));
+}
+
+/**
+ * Speak text into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} text - Text to speak
+ * @param {Object} [options] - Talk options
+ * @param {string} [options.language] - Language code (defaults to en-US)
+ * @param {number} [options.loop] - Times to repeat, 0 for until stopped (defaults to 1)
+ * @returns {Promise<void>}
+ */
+async function playTalk(callUuid, applicationId, text, options = {}) {
+  console.log(`Speaking into call ${callUuid} using the Vonage SDK`);
+  await sendCallRequest(callUuid, applicationId, 'talk', voice => voice.playTTS(callUuid, {
+    text,
+    language: options.language || 'en-US',
+    loop: options.loop ?? 1
+  }));
+}
+
+/**
+ * Stop text being spoken into a call
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<void>}
+ */
+async function stopTalk(callUuid, applicationId) {
+  await sendCallRequest(callUuid, applicationId, 'stop talk', voice => voice.stopTTS(callUuid));
+}
+
+/**
+ * Play an audio file into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} streamUrl - URL of an MP3 or WAV file
+ * @param {Object} [options] - Stream options
+ * @param {number} [options.loop] - Times to repeat, 0 for until stopped (defaults to 1)
+ * @returns {Promise<void>}
+ */
+async function playStream(callUuid, applicationId, streamUrl, options = {}) {
+  console.log(`Playing ${streamUrl} into call ${callUuid} using the Vonage SDK`);
+  await sendCallRequest(callUuid, applicationId, 'stream', voice => voice.streamAudio(callUuid, streamUrl, options.loop ?? 1));
+}
+
+/**
+ * Stop an audio file playing into a call
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @returns {Promise<void>}
+ */
+async function stopStream(callUuid, applicationId) {
+  await sendCallRequest(callUuid, applicationId, 'stop stream', voice => voice.stopStreamAudio(callUuid));
+}
+
+/**
+ * Send DTMF tones into a call in progress
+ * @param {string} callUuid - UUID of the call
+ * @param {string} applicationId - Vonage application ID (its private key is read from the credential vault)
+ * @param {string} digits - Digits 0-9, * and #, with p for a 500ms pause
+ * @returns {Promise<void>}
+ */
+async function sendDtmf(callUuid, applicationId, digits) {
+  console.log(`Sending DTMF to call ${callUuid} using the Vonage SDK`);
+  await sendCallRequest(callUuid, applicationId, 'DTMF', voice => voice.playDTMF(callUuid, digits));
+}
+
+// Run a Voice API request for a call with the application's credentials
+async function sendCallRequest(callUuid, applicationId, description, request) {
+  try {
+    await request(getApplicationClient(applicationId).voice);
+  } catch (error) {
+    throw await logSdkError(`Error sending ${description} for call ${callUuid} with the SDK`, error);
+  }
+}
+
+// Voice API calls are signed with a JWT from the application's private key
+function getApplicationClient(applicationId) {
+  let client = applicationClients.get(applicationId);
+  if (!client) {
+    client = new Vonage({
+      applicationId,
+      privateKey: credentialVault.getPrivateKey(applicationId)
+    }, SDK_OPTIONS);
+    // The SDK signs a new JWT for every request; reuse the cached one the REST client uses instead
+    client.credentials.createBearerHeader = async () => `Bearer ${generateJWT(applicationId)}`;
+    applicationClients.set(applicationId, client);
+  }
+  return client;
+}
+
+function forgetApplicationClient(applicationId) {
+  applicationClients.delete(applicationId);
+  forgetJWT(applicationId);
+}
+
+// The SDK camelCases API responses; convert them back so both clients return the same shapes
+function toApiFormat(object) {
+  return Client.transformers.snakeCaseObjectKeys(object, true);
+}
+
+// The SDK rejects with the unread fetch response; read its body so callers see
+// error.response.status and error.response.data, as they would from the REST client
+async function logSdkError(message, error) {
+  if (error.response && typeof error.response.text === 'function') {
+    const body = await error.response.text().catch(() => '');
+    let data = body;
+    try {
+      data = JSON.parse(body);
+    } catch (parseError) {
+      // Not JSON, keep the text
+    }
+    error.response = { status: error.response.status, data };
+  }
+
+  console.error(`${message}:`, error.response?.data || error.message);
+  return error;
+}
+
+module.exports = {
+  textToSpeech,
+  getVoiceName,
+  createVoiceApplication,
+  listApplications,
+  getApplication,
+  updateApplication,
+  rotateApplicationKey,
+  deleteApplication,
+  listNumbers,
+  searchNumbers,
+  buyNumber,
+  cancelNumber,
+  linkNumber,
+  startCall,
+  getCallInfo,
+  modifyCall,
+  transferCall,
+  playTalk,
+  stopTalk,
+  playStream,
+  stopStream,
+  sendDtmf
+};
@@ -1,19 +1,67 @@
 import { createStore as createVuexStore } from 'vuex';
 import axios from 'axios';
 
+/**
+ * Read a Server-Sent Events response body and call onEvent for each event
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {function(string, Object): void} onEvent - Called with the event name and parsed data
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      });
+      
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+}
+
 export function createStore() {
+  // Aborts the request for each reply still being generated, keyed by reply ID
+  // Message indexes start again from 0 after clearMessages, so replies carry their own ID
+  const replyControllers = new Map();
+  let nextReplyId = 1;
+  
   return createVuexStore({
     state: {
       messages: [],
       isProcessing: false,
+      isSpeaking: false, // An assistant reply is being played
       error: null,
       systemPrompt: 'You are a helpful voice assistant. Keep your responses clear and concise.',
       voiceSettings: {
         language: 'en-US',
-        voiceType: 'female'
+        voiceType: 'female',
+        handsFree: false, // Listen again after every reply, ending each utterance on a pause
+        silenceTimeoutMs: 1500, // Pause that ends an utterance
+        noiseGate: 0.08 // Microphone level (0-1) that counts as speech
       },
-      pendingResponses: {}, // For storing streaming response IDs and polling status
-      pollingActive: false // Whether polling for responses is active
+      sessionId: null, // Server-side conversation session that keeps the turn history
+      activeStreams: {} // Streaming responses in flight, keyed by stream ID, with the ID of their reply
     },
     
     mutations: {
@@ -31,27 +79,25 @@ export function createStore() {
         state.isProcessing = status;
       },
       
+      SET_SPEAKING(state, status) {
+        state.isSpeaking = status;
+      },
+      
       SET_ERROR(state, error) {
         state.error = error;
       },
       
-      ADD_PENDING_RESPONSE(state, { streamId, messageIndex }) {
-        state.pendingResponses[streamId] = { messageIndex, retries: 0 };
+      SET_SESSION_ID(state, sessionId) {
+        state.sessionId = sessionId;
       },
       
-      REMOVE_PENDING_RESPONSE(state, streamId) {
-        if (state.pendingResponses[streamId]) {
-          delete state.pendingResponses[streamId];
-        }
+      ADD_ACTIVE_STREAM(state, { streamId, replyId }) {
+        state.activeStreams[streamId] = { replyId };
       },
       
-      SET_POLLING_ACTIVE(state, isActive) {
-        state.pollingActive = isActive;
-      },
-      
-      INCREMENT_RETRY_COUNT(state, streamId) {
-        if (state.pendingResponses[streamId]) {
-          state.pendingResponses[streamId].retries++;
+      REMOVE_ACTIVE_STREAM(state, streamId) {
+        if (state.activeStreams[streamId]) {
+          delete state.activeStreams[streamId];
         }
       },
       
@@ -65,11 +111,21 @@ export function createStore() {
       
       CLEAR_MESSAGES(state) {
         state.messages = [];
+        state.isSpeaking = false;
       }
     },
     
     actions: {
-      async addMessage({ commit, state, dispatch }, message) {
+      async addMessage({ commit, state }, message) {
+        // If the user spoke over the last reply, tell the server how much of it they heard
+        const previousReply = state.messages[state.messages.length - 1];
+        const interruptedReply = previousReply?.interrupted
+          ? previousReply.content.slice(0, previousReply.heardLength)
+          : undefined;
+        
+        // A new turn replaces any reply still being generated
+        replyControllers.forEach(controller => controller.abort());
+        
         // Add user message to conversation
         commit('ADD_MESSAGE', { 
           role: 'user', 
@@ -80,149 +136,145 @@ export function createStore() {
         commit('SET_PROCESSING', true);
         commit('SET_ERROR', null);
         
+        // Add an empty assistant message right away and fill it in as tokens arrive
+        const replyId = nextReplyId++;
+        commit('ADD_MESSAGE', {
+          role: 'assistant',
+          content: '',
+          audio: null,
+          isPartial: true,
+          replyId
+        });
+        let streamId = null;
+        
+        const controller = new AbortController();
+        replyControllers.set(replyId, controller);
+        
+        // The reply's message, or undefined once the conversation has been cleared
+        const getReply = () => state.messages.find(candidate => candidate.replyId === replyId);
+        const updateReply = (updates) => {
+          const index = state.messages.findIndex(candidate => candidate.replyId === replyId);
+          if (index !== -1) {
+            commit('UPDATE_MESSAGE', { index, updates });
+          }
+        };
+        
         try {
-          // Get streaming AI response for lower latency
-          const response = await axios.post('/api/chat', {
-            message,
-            systemPrompt: state.systemPrompt,
-            voiceSettings: state.voiceSettings
+          const response = await fetch('/api/chat/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              message,
+              systemPrompt: state.systemPrompt,
+              voiceSettings: state.voiceSettings,
+              sessionId: state.sessionId,
+              interruptedReply
+            }),
+            signal: controller.signal
           });
           
-          if (response.data.isPartial && response.data.streamId) {
-            // Add initial partial AI response right away
-            commit('ADD_MESSAGE', {
-              role: 'assistant',
-              content: response.data.text || 'Thinking...',
-              audio: null,
-              isPartial: true
-            });
-            
-            // Get the index of the message we just added
-            const messageIndex = state.messages.length - 1;
-            
-            // Register this as a pending response to be polled for completion
-            commit('ADD_PENDING_RESPONSE', { 
-              streamId: response.data.streamId,
-              messageIndex
-            });
+          if (!response.ok || !response.body) {
+            throw new Error(`Chat stream request failed with status ${response.status}`);
+          }
+          
+          await readEventStream(response, (event, data) => {
+            // Events still buffered when the reply was interrupted, replaced or cleared
+            const reply = getReply();
+            if (controller.signal.aborted || !reply) {
+              return;
+            }
             
-            // Start polling for complete response if not already polling
-            if (!state.pollingActive) {
-              dispatch('startPollingCompletedResponses');
+            switch (event) {
+              case 'start':
+                streamId = data.streamId;
+                commit('SET_SESSION_ID', data.sessionId);
+                commit('ADD_ACTIVE_STREAM', { streamId, replyId });
+                break;
+                
+              case 'sources':
+                // Knowledge base excerpts the reply can cite as [1], [2], ...
+                updateReply({ sources: data.sources });
+                break;
+                
+              case 'delta':
+                updateReply({ content: reply.content + data.text });
+                break;
+                
+              case 'audio': {
+                // Clips arrive in sentence order; TranscriptDisplay plays them one after another
+                // The sentence each clip speaks is kept so an interrupted reply can show how much was heard
+                const audioSequence = [...(reply.audioSequence || []), data.audioUrl];
+                const audioTexts = [...(reply.audioTexts || []), data.text];
+                updateReply({ audioSequence, audioTexts, audio: audioSequence[0] });
+                break;
+              }
+                
+              case 'tool': {
+                // Each tool call is reported when it starts and again when it finishes
+                const toolCalls = [...(reply.toolCalls || [])];
+                const existing = toolCalls.findIndex(toolCall => toolCall.id === data.id);
+                if (existing === -1) {
+                  toolCalls.push(data);
+                } else {
+                  toolCalls[existing] = { ...toolCalls[existing], ...data };
+                }
+                updateReply({ toolCalls });
+                break;
+              }
+                
+              case 'done':
+                updateReply({ content: data.text, isPartial: false });
+                break;
+                
+              case 'cancelled':
+                updateReply({ isPartial: false });
+                break;
+                
+              case 'error':
+                throw new Error(data.error || data.message);
             }
-          } else {
-            // For non-streaming response, add complete message immediately
-            commit('ADD_MESSAGE', {
-              role: 'assistant',
-              content: response.data.text,
-              audio: response.data.audioUrl
-            });
+          });
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            console.error('Error communicating with AI:', error);
+            commit('SET_ERROR', 'Failed to get response from AI. Please try again.');
+          }
+          updateReply({ isPartial: false });
+        } finally {
+          replyControllers.delete(replyId);
+          if (streamId) {
+            commit('REMOVE_ACTIVE_STREAM', streamId);
+          }
+          // A newer message may already be waiting for its own reply
+          if (replyControllers.size === 0) {
             commit('SET_PROCESSING', false);
           }
-        } catch (error) {
-          console.error('Error communicating with AI:', error);
-          commit('SET_ERROR', 'Failed to get response from AI. Please try again.');
-          commit('SET_PROCESSING', false);
         }
       },
       
-      // Start polling for completed responses
-      startPollingCompletedResponses({ commit, state, dispatch }) {
-        if (state.pollingActive) return; // Don't start if already polling
-        
-        commit('SET_POLLING_ACTIVE', true);
+      // Called when the user speaks over a reply: stop generating it and remember how much was heard
+      interruptReply({ commit, state }, { index, heardLength }) {
+        commit('UPDATE_MESSAGE', {
+          index,
+          updates: { interrupted: true, heardLength, isPartial: false }
+        });
+        commit('SET_SPEAKING', false);
         
-        const pollInterval = setInterval(async () => {
-          const pendingStreamIds = Object.keys(state.pendingResponses);
-          
-          if (pendingStreamIds.length === 0) {
-            // No more pending responses, stop polling
-            clearInterval(pollInterval);
-            commit('SET_POLLING_ACTIVE', false);
-            return;
-          }
-          
-          // Check each pending response
-          for (const streamId of pendingStreamIds) {
-            await dispatch('checkCompletedResponse', streamId);
-          }
-        }, 500); // Poll every 500ms
+        const controller = replyControllers.get(state.messages[index]?.replyId);
+        if (controller) {
+          controller.abort();
+        }
       },
       
-      // Check if a specific response is completed
-      async checkCompletedResponse({ commit, state }, streamId) {
-        const pendingResponse = state.pendingResponses[streamId];
-        if (!pendingResponse) return;
-        
-        try {
-          const response = await axios.get(`/api/response/${streamId}`);
-          
-          if (response.data.complete) {
-            // Check if we already have audio for this message (from initial partial response)
-            const existingMessage = state.messages[pendingResponse.messageIndex];
-            const alreadyHasAudio = existingMessage && existingMessage.audio;
-            
-            // Handle multipart audio responses
-            if (response.data.hasMultipartAudio) {
-              // For multipart audio, we need to update differently
-              // We'll use an array of audio URLs that will be played in sequence
-              commit('UPDATE_MESSAGE', {
-                index: pendingResponse.messageIndex,
-                updates: {
-                  content: response.data.text,
-                  isPartial: false,
-                  // If we already have the initial audio playing, don't include it again
-                  audioSequence: alreadyHasAudio ? 
-                    [response.data.audioUrl] : 
-                    [response.data.initialAudioUrl, response.data.audioUrl],
-                  // For compatibility with existing components, set the main audio
-                  // to the continuation if we're already playing the initial audio
-                  audio: alreadyHasAudio ? response.data.audioUrl : response.data.initialAudioUrl
-                }
-              });
-            } else {
-              // For regular single audio responses
-              commit('UPDATE_MESSAGE', {
-                index: pendingResponse.messageIndex,
-                updates: {
-                  content: response.data.text,
-                  audio: response.data.audioUrl,
-                  isPartial: false
-                }
-              });
-            }
-            
-            // Remove from pending responses
-            commit('REMOVE_PENDING_RESPONSE', streamId);
-            
-            // If this was the last pending response, set processing to false
-            if (Object.keys(state.pendingResponses).length === 0) {
-              commit('SET_PROCESSING', false);
-            }
-          } else {
-            // Increment retry count
-            commit('INCREMENT_RETRY_COUNT', streamId);
-            
-            // If we've retried too many times, give up on this response
-            if (pendingResponse.retries > 30) { // 15 seconds at 500ms intervals
-              console.warn(`Giving up on streaming response ${streamId} after too many retries`);
-              commit('REMOVE_PENDING_RESPONSE', streamId);
-              
-              // If this was the last pending response, set processing to false
-              if (Object.keys(state.pendingResponses).length === 0) {
-                commit('SET_PROCESSING', false);
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error checking completed response ${streamId}:`, error);
-          commit('INCREMENT_RETRY_COUNT', streamId);
-        }
+      // Called when an audio response starts playing
+      audioStarted({ commit }) {
+        commit('SET_SPEAKING', true);
       },
       
       // Called when audio response finishes playing
       audioEnded({ commit, state, dispatch }) {
         console.log('Audio finished playing - ready for next input');
+        commit('SET_SPEAKING', false);
         // We could dispatch an event for VoiceAgent to auto-restart listening here
         document.dispatchEvent(new CustomEvent('ai-response-complete', {
           detail: { autoRestartListening: true }
@@ -237,7 +289,22 @@ export function createStore() {
         commit('UPDATE_VOICE_SETTINGS', settings);
       },
       
-      clearMessages({ commit }) {
+      clearMessages({ commit, state }) {
+        // Stop paying for replies nobody will read or hear
+        Object.keys(state.activeStreams).forEach(streamId => {
+          axios.delete(`/api/chat/${streamId}`, { params: { sessionId: state.sessionId } })
+            .catch(error => console.error('Error cancelling response stream:', error));
+          commit('REMOVE_ACTIVE_STREAM', streamId);
+        });
+        replyControllers.forEach(controller => controller.abort());
+        
+        // Forget the server-side history so the next message starts a fresh conversation
+        if (state.sessionId) {
+          axios.delete(`/api/chat/session/${state.sessionId}`)
+            .catch(error => console.error('Error ending conversation session:', error));
+          commit('SET_SESSION_ID', null);
+        }
+        
         commit('CLEAR_MESSAGES');
       }
     },
@@ -245,6 +312,7 @@ export function createStore() {
     getters: {
       allMessages: (state) => state.messages,
       isProcessing: (state) => state.isProcessing,
+      isSpeaking: (state) => state.isSpeaking,
       systemPrompt: (state) => state.systemPrompt,
       voiceSettings: (state) => state.voiceSettings,
       error: (state) => state.error
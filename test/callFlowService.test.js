@@ -0,0 +1,236 @@
+/**
+ * Tests for call flow templates (server/services/callFlowService.js)
+ * Validation against the NCCO action schemas, variable filling and the NCCO each built-in flow renders
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Flows are read from and saved to CALL_FLOWS_FILE when the service is first required
+const flowsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-flows-'));
+process.env.CALL_FLOWS_FILE = path.join(flowsDir, 'call-flows.json');
+const callFlowService = require('../server/services/callFlowService');
+
+const CONTEXT = { baseUrl: 'https://agent.example.com', callUuid: 'call-1', applicationId: 'app-1' };
+
+// A valid custom template, with overrides for the case being tested
+function template(overrides = {}) {
+  return {
+    name: 'opening-hours',
+    description: 'Reads out the opening hours',
+    variables: {
+      hours: { type: 'string', default: '9am to 5pm' },
+      repeat: { type: 'number', default: 1 },
+      announce: { type: 'boolean', default: true }
+    },
+    ncco: [
+      { if: 'announce', action: 'talk', text: 'We are open {{hours}}.', loop: '{{repeat}}' },
+      { action: 'notify', payload: { call: '{{callUuid}}' }, eventUrl: ['{{eventUrl}}'] }
+    ],
+    ...overrides
+  };
+}
+
+function errorsOf(candidate) {
+  return callFlowService.validateTemplate(candidate).errors;
+}
+
+after(() => {
+  fs.rmSync(flowsDir, { recursive: true, force: true });
+});
+
+describe('validateTemplate', () => {
+  it('accepts a template whose actions match their schemas', () => {
+    assert.deepEqual(callFlowService.validateTemplate(template()), { valid: true, errors: [] });
+  });
+
+  it('rejects unknown actions and unknown fields', () => {
+    assert.deepEqual(errorsOf(template({ ncco: [{ action: 'dance' }] })), [
+      'ncco[0]: unknown action "dance" (expected one of talk, stream, input, record, connect, conversation, notify)'
+    ]);
+    assert.deepEqual(errorsOf(template({ ncco: [{ action: 'talk', text: 'Hi', volume: 11 }] })), [
+      'ncco[0] talk: unknown field volume'
+    ]);
+  });
+
+  it('rejects actions missing required fields', () => {
+    assert.deepEqual(errorsOf(template({ ncco: [{ action: 'talk' }, { action: 'notify', eventUrl: ['https://example.com'] }] })), [
+      'ncco[0] talk: text is required',
+      'ncco[1] notify: payload is required'
+    ]);
+    assert.deepEqual(errorsOf(template({ ncco: [{ action: 'conversation', name: '' }] })), [
+      'ncco[0] conversation: name is required'
+    ]);
+  });
+
+  it('rejects fields of the wrong type, checking placeholders as the type of their default', () => {
+    assert.deepEqual(errorsOf(template({
+      ncco: [
+        { action: 'stream', streamUrl: 'https://example.com/hold.mp3' },
+        { action: 'talk', text: 'Hi', bargeIn: 'yes' },
+        { action: 'input', type: ['dtmf'], dtmf: ['1'] },
+        { action: 'talk', text: 'Hi', loop: '{{hours}}' }
+      ]
+    })), [
+      'ncco[0] stream: streamUrl must be an array',
+      'ncco[1] talk: bargeIn must be a boolean',
+      'ncco[2] input: dtmf must be an object',
+      'ncco[3] talk: loop must be a number'
+    ]);
+  });
+
+  it('rejects placeholders for variables the template does not define', () => {
+    assert.deepEqual(errorsOf(template({ ncco: [{ action: 'talk', text: 'Hello {{customerName}}' }] })), [
+      'ncco[0]: unknown variable {{customerName}}'
+    ]);
+  });
+
+  it('checks names, variable definitions and conditions', () => {
+    assert.deepEqual(errorsOf(template({
+      name: 'Opening Hours',
+      variables: {
+        baseUrl: { type: 'string', default: 'https://evil.test' },
+        count: { type: 'integer', default: 1 },
+        hours: { type: 'string', default: 9 }
+      },
+      ncco: [{ if: 'hours', action: 'talk', text: 'Hi' }]
+    })), [
+      'name must be lowercase letters, digits and dashes (up to 64 characters)',
+      'variable baseUrl: reserved for the server',
+      'variable count: type must be one of string, number, boolean',
+      'variable hours: default must be a string',
+      'ncco[0]: "if" must name a boolean variable'
+    ]);
+    assert.deepEqual(errorsOf(template({ ncco: [] })), ['ncco must be a non-empty array of actions']);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills variables with their values or defaults, keeping the type of whole placeholders', () => {
+    const ncco = callFlowService.renderTemplate(template(), { hours: '8am to 8pm', repeat: 2 }, CONTEXT);
+
+    assert.deepEqual(ncco, [
+      { action: 'talk', text: 'We are open 8am to 8pm.', loop: 2 },
+      { action: 'notify', payload: { call: 'call-1' }, eventUrl: ['https://agent.example.com/api/vonage/event'] }
+    ]);
+  });
+
+  it('leaves out steps whose condition is false', () => {
+    const ncco = callFlowService.renderTemplate(template(), { announce: false }, CONTEXT);
+    assert.deepEqual(ncco.map(action => action.action), ['notify']);
+  });
+
+  it('does not fill placeholders that appear in variable values', () => {
+    const [talk] = callFlowService.renderTemplate(template(), { hours: '{{callUuid}}' }, CONTEXT);
+    assert.equal(talk.text, 'We are open {{callUuid}}.');
+  });
+
+  it('rejects values of the wrong type and variables the template does not have', () => {
+    assert.throws(() => callFlowService.renderTemplate(template(), { repeat: '2' }, CONTEXT), /repeat must be a number/);
+    assert.throws(() => callFlowService.renderTemplate(template(), { colour: 'blue' }, CONTEXT), /Unknown call flow variables: colour/);
+  });
+
+  it('rejects unsaved templates with unresolved placeholders or invalid actions', () => {
+    const unresolved = template({ ncco: [{ action: 'talk', text: 'Hello {{customerName}}' }] });
+    assert.throws(() => callFlowService.renderTemplate(unresolved, {}, CONTEXT), /uses unknown variables: customerName/);
+
+    const invalid = template({ ncco: [{ action: 'talk', text: 'Hi', loop: '{{hours}}' }] });
+    assert.throws(() => callFlowService.renderTemplate(invalid, {}, CONTEXT), /rendered an invalid NCCO: ncco\[0\] talk: loop must be a number/);
+  });
+});
+
+describe('built-in flows', () => {
+  it('are all valid templates', () => {
+    callFlowService.listTemplates()
+      .filter(flow => flow.builtIn)
+      .forEach(flow => assert.deepEqual(callFlowService.validateTemplate(flow).errors, [], flow.name));
+  });
+
+  it('ai-agent records the call, greets the caller and streams the audio to the media socket', () => {
+    const [record, talk, connect] = callFlowService.renderFlow('ai-agent', {}, CONTEXT);
+
+    assert.deepEqual(record, { action: 'record', eventUrl: ['https://agent.example.com/api/vonage/recordings?call_uuid=call-1'] });
+    assert.deepEqual(talk, {
+      action: 'talk',
+      text: 'Welcome to the AI Voice Agent. This call may be recorded for quality assurance.',
+      voiceName: 'Amy'
+    });
+
+    const [endpoint] = connect.endpoint;
+    assert.deepEqual(connect.eventUrl, ['https://agent.example.com/api/vonage/event']);
+    assert.match(endpoint.uri, /^wss:\/\/agent\.example\.com\/api\/vonage\/media\?token=[\w-]+\.[\w-]+$/);
+    assert.equal(endpoint['content-type'], 'audio/l16;rate=16000');
+    assert.deepEqual(endpoint.headers, { callUuid: 'call-1', applicationId: 'app-1' });
+  });
+
+  it('ai-agent-turns greets the caller and listens for speech in the chosen language', () => {
+    const ncco = callFlowService.renderFlow('ai-agent-turns', { language: 'de-DE', record: false }, CONTEXT);
+
+    assert.deepEqual(ncco, [
+      { action: 'talk', text: 'Hello, you are speaking with the AI Voice Agent. How can I help you?', voiceName: 'Amy', bargeIn: true },
+      {
+        action: 'input',
+        type: ['speech'],
+        speech: { language: 'de-DE', endOnSilence: 1, startTimeout: 10 },
+        eventUrl: ['https://agent.example.com/api/vonage/agent/input?language=de-DE']
+      }
+    ]);
+  });
+
+  it('recorded-conversation announces the recording, records until silence or a key and joins a conversation', () => {
+    const [talk, record, conversation] = callFlowService.renderFlow('recorded-conversation', { endOnSilence: 3, endOnKey: '#' }, CONTEXT);
+
+    assert.equal(talk.text, 'This call will be recorded for quality assurance. Press star to end the call.');
+    assert.deepEqual(record, {
+      action: 'record',
+      eventUrl: ['https://agent.example.com/api/vonage/recordings?call_uuid=call-1'],
+      beepStart: true,
+      endOnSilence: 3,
+      endOnKey: '#'
+    });
+    assert.equal(conversation.action, 'conversation');
+    assert.match(conversation.name, /^conversation-\d+$/);
+    assert.equal(conversation.startOnEnter, true);
+    assert.equal(conversation.endOnExit, true);
+  });
+
+  it('come back unchanged when an edited built-in flow is deleted', () => {
+    const original = callFlowService.getTemplate('ai-agent');
+    callFlowService.saveTemplate({ ...original, ncco: [{ action: 'talk', text: 'Closed today' }] });
+    assert.deepEqual(callFlowService.renderFlow('ai-agent', {}, CONTEXT), [{ action: 'talk', text: 'Closed today' }]);
+
+    callFlowService.deleteTemplate('ai-agent');
+    assert.deepEqual(callFlowService.getTemplate('ai-agent'), original);
+  });
+});
+
+describe('saved flows', () => {
+  before(() => {
+    callFlowService.saveTemplate(template());
+  });
+
+  it('refuses to save invalid templates', () => {
+    assert.throws(() => callFlowService.saveTemplate(template({ ncco: [{ action: 'dance' }] })), /Invalid call flow: ncco\[0\]: unknown action "dance"/);
+  });
+
+  it('are written to CALL_FLOWS_FILE with the applications that use them', () => {
+    callFlowService.setApplicationFlow('app-1', 'opening-hours');
+    const stored = JSON.parse(fs.readFileSync(process.env.CALL_FLOWS_FILE, 'utf8'));
+
+    assert.ok(stored.templates.some(saved => saved.name === 'opening-hours'));
+    assert.deepEqual(stored.applications, { 'app-1': 'opening-hours' });
+    assert.equal(callFlowService.getApplicationFlow('app-1', 'inbound'), 'opening-hours');
+    assert.equal(callFlowService.getApplicationFlow('app-2', 'inbound'), 'ai-agent');
+    assert.equal(callFlowService.getApplicationFlow('app-2', 'outbound'), 'recorded-conversation');
+  });
+
+  it('stop being used by applications when deleted', () => {
+    callFlowService.deleteTemplate('opening-hours');
+
+    assert.equal(callFlowService.getTemplate('opening-hours'), null);
+    assert.equal(callFlowService.getApplicationFlow('app-1', 'inbound'), 'ai-agent');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for outbound call campaigns (server/services/campaignService.js)
+ * CSV parsing, the results export, the dialer's deadlines and saving campaigns across restarts
+ */
+
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Services read their files when they are first required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+process.env.CAMPAIGNS_FILE = path.join(dataDir, 'campaigns.json');
+process.env.CALL_FLOWS_FILE = path.join(dataDir, 'call-flows.json');
+process.env.VONAGE_VAULT_FILE = path.join(dataDir, 'credentials.json');
+delete process.env.VONAGE_VAULT_KEY;
+
+// The dialer and the debounced save run on timers; the tests move the clock themselves
+mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.now() });
+
+// The dialer logs every call; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const vonageService = require('../server/services/vonageService');
+const callStateService = require('../server/services/callStateService');
+const campaignService = require('../server/services/campaignService');
+
+// recorded-conversation has string, number and boolean variables: greeting, endOnSilence and record
+function createCampaign(csv, options = {}) {
+  return campaignService.createCampaign({
+    name: 'Test campaign',
+    csv,
+    flow: 'recorded-conversation',
+    from: '+15557654321',
+    applicationId: 'app-1',
+    baseUrl: 'https://agent.example.com',
+    ...options
+  });
+}
+
+function rowsOf(campaign) {
+  return campaignService.getCampaign(campaign.id).rows;
+}
+
+after(() => {
+  mock.timers.reset();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('campaign CSV', () => {
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const csv = [
+      'phone,greeting,note',
+      '15550100001,"Hello, Ada","She said ""call me"""',
+      '15550100002,"Line one',
+      'line two",plain'
+    ].join('\r\n');
+    const rows = rowsOf(createCampaign(csv));
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[0].values, { greeting: 'Hello, Ada', note: 'She said "call me"' });
+    assert.deepEqual(rows[1].values, { greeting: 'Line one\r\nline two', note: 'plain' });
+  });
+
+  it('finds the number column by name, normalizes numbers and rejects ones that are not', () => {
+    const csv = '﻿Name,MSISDN\nAda,+1 (555) 010-0001\nBob,call me\n\n,\nEve,15550100003\n';
+    const rows = rowsOf(createCampaign(csv));
+
+    assert.deepEqual(rows.map(row => [row.number, row.status, row.error]), [
+      ['15550100001', 'pending', null],
+      ['callme', 'invalid', 'Not a phone number'],
+      ['15550100003', 'pending', null]
+    ]);
+  });
+
+  it('converts columns to the types of the flow variables and leaves other columns out of the flow', () => {
+    const csv = [
+      'number,endOnSilence,record,greeting,customerId',
+      '15550100001,3,yes,Hi,C-1',
+      '15550100002,seven,true,,C-2',
+      '15550100003,,No,,C-3'
+    ].join('\n');
+    const rows = rowsOf(createCampaign(csv));
+
+    assert.deepEqual(rows[0].variables, { endOnSilence: 3, record: true, greeting: 'Hi' });
+    assert.equal(rows[1].status, 'invalid');
+    assert.equal(rows[1].error, 'endOnSilence must be a number');
+    assert.deepEqual(rows[2].variables, { record: false });
+    assert.equal(rows[2].values.customerId, 'C-3');
+  });
+
+  it('rejects CSVs without a number column or without rows', () => {
+    assert.throws(() => createCampaign('name,greeting\nAda,Hi'), /needs a column named number, phone, to, msisdn/);
+    assert.throws(() => createCampaign('number\n'), /needs a header row and at least one number/);
+    assert.throws(() => createCampaign('number\n1555', { flow: 'no-such-flow' }), /Unknown call flow: no-such-flow/);
+  });
+});
+
+describe('campaign export', () => {
+  it('exports each row with its outcome, quoting values that need it', () => {
+    const campaign = createCampaign('number,greeting\n15550100001,"Hello, ""Ada"""\n');
+    const [header, row] = campaignService.exportCampaign(campaign.id).split('\r\n');
+
+    assert.equal(header, 'number,greeting,status,outcome,attempts,call_uuid,error,updated_at');
+    assert.match(row, /^15550100001,"Hello, ""Ada""",pending,,0,,,\d{4}-/);
+  });
+
+  it('neutralizes values a spreadsheet would run as a formula, but not numbers', () => {
+    const csv = [
+      'number,note',
+      '15550100001,"=HYPERLINK(""https://evil.test"")"',
+      '15550100002,+SUM(A1:A9)',
+      '15550100003,-2+3',
+      '15550100004,@cmd',
+      '15550100005,-12.5',
+      '15550100006,+44'
+    ].join('\n');
+    const lines = campaignService.exportCampaign(createCampaign(csv).id).trim().split('\r\n').slice(1);
+
+    assert.deepEqual(lines.map(line => line.split(',')[1]), [
+      '"\'=HYPERLINK(""https://evil.test"")"',
+      '\'+SUM(A1:A9)',
+      '\'-2+3',
+      '\'@cmd',
+      '-12.5',
+      '+44'
+    ]);
+  });
+});
+
+describe('campaign dialer', () => {
+  it('gives up on calls without events after the dial deadline, even while the campaign is paused', async (t) => {
+    let calls = 0;
+    t.mock.method(vonageService, 'startCall', async () => {
+      calls++;
+      return { uuid: `stalled-call-${calls}`, conversation_uuid: `CON-stalled-${calls}` };
+    });
+
+    const campaign = createCampaign('number\n15550100001\n', { maxAttempts: 2, retryDelayMs: 0 });
+    campaignService.startCampaign(campaign.id);
+    mock.timers.tick(100);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(calls, 1);
+    assert.equal(rowsOf(campaign)[0].status, 'dialing');
+    assert.equal(rowsOf(campaign)[0].callUuid, 'stalled-call-1');
+
+    // The call's events never arrive
+    campaignService.pauseCampaign(campaign.id);
+    mock.timers.tick(2 * 60 * 1000 + 100);
+
+    const [row] = rowsOf(campaign);
+    assert.equal(row.status, 'retrying');
+    assert.equal(row.outcome, 'timeout');
+    assert.equal(row.error, 'No call events before the deadline');
+
+    // Paused: the retry waits until the campaign is resumed
+    mock.timers.tick(1000);
+    assert.equal(calls, 1);
+    campaignService.cancelCampaign(campaign.id);
+  });
+
+  it('records outcomes from call events, including ones that arrive before the call UUID is known', async (t) => {
+    t.mock.method(vonageService, 'startCall', async () => {
+      callStateService.trackCall({ uuid: 'early-call', to: '15550100001', from: '15557654321' });
+      callStateService.handleEvent({ uuid: 'early-call', status: 'answered' });
+      return { uuid: 'early-call', conversation_uuid: 'CON-early' };
+    });
+
+    const campaign = createCampaign('number\n15550100001\n');
+    campaignService.startCampaign(campaign.id);
+    mock.timers.tick(100);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(rowsOf(campaign)[0].status, 'in-progress');
+    assert.equal(rowsOf(campaign)[0].outcome, 'answered');
+
+    callStateService.handleEvent({ uuid: 'early-call', status: 'completed' });
+    assert.equal(rowsOf(campaign)[0].status, 'completed');
+
+    mock.timers.tick(1000);
+    assert.equal(campaignService.getCampaign(campaign.id).status, 'completed');
+  });
+
+  it('saves campaigns so their progress survives a restart', () => {
+    const campaign = createCampaign('number,greeting\n15550100001,Hi\n15550100002,Hello\n');
+    campaignService.cancelCampaign(campaign.id);
+    mock.timers.tick(1000);
+
+    // A restart: the service loads the saved campaigns when it is required again
+    const modulePath = require.resolve('../server/services/campaignService');
+    delete require.cache[modulePath];
+    const restarted = require(modulePath);
+
+    const restored = restarted.getCampaign(campaign.id);
+    assert.equal(restored.status, 'cancelled');
+    assert.deepEqual(restored.rows.map(row => [row.number, row.status, row.values.greeting]), [
+      ['15550100001', 'skipped', 'Hi'],
+      ['15550100002', 'skipped', 'Hello']
+    ]);
+    assert.equal(restarted.exportCampaign(campaign.id), campaignService.exportCampaign(campaign.id));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the PDF text extractor (server/services/pdfText.js)
+ * The PDFs are built here from their objects, so each case shows exactly what the extractor reads
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { extractPdfText, MAX_INFLATED_BYTES, MAX_TEXT_LENGTH } = require('../server/services/pdfText');
+
+// A PDF file from its objects, numbered from 1; a {dictionary, stream} object gets a stream
+function buildPdf(objects) {
+  const body = objects.map((object, i) => {
+    if (typeof object === 'string') {
+      return Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1');
+    }
+    return Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n${object.dictionary}\nstream\n`, 'latin1'),
+      Buffer.from(object.stream, 'latin1'),
+      Buffer.from('\nendstream\nendobj\n', 'latin1')
+    ]);
+  });
+  return Buffer.concat([Buffer.from('%PDF-1.7\n', 'latin1'), ...body, Buffer.from('%%EOF\n', 'latin1')]);
+}
+
+// Catalog, page tree and one page per content stream, with the content streams as objects 3 onwards
+function pagesWith(contents, { fonts = '', extraObjects = [] } = {}) {
+  const pageNumbers = contents.map((content, i) => 3 + contents.length + i);
+  return [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${contents.length} /Resources << /Font << ${fonts} >> >> >>`,
+    ...contents,
+    ...contents.map((content, i) => `<< /Type /Page /Parent 2 0 R /Contents ${3 + i} 0 R >>`),
+    ...extraObjects
+  ];
+}
+
+function stream(content) {
+  return { dictionary: `<< /Length ${Buffer.byteLength(content, 'latin1')} >>`, stream: content };
+}
+
+function deflated(content) {
+  const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+  return { dictionary: `<< /Length ${data.length} /Filter /FlateDecode >>`, stream: data.toString('latin1') };
+}
+
+describe('PDF text extraction', () => {
+  it('reads the text of each page in page order', () => {
+    const pdf = buildPdf(pagesWith([
+      stream('BT /F1 12 Tf 72 720 Td (Opening hours) Tj 0 -14 Td [(Monday) -250 (to) -250 (Friday)] TJ ET'),
+      stream('BT (Caf\\351 \\(lobby\\)) Tj T* (9am\\0555pm) Tj ET')
+    ]));
+
+    assert.equal(extractPdfText(pdf), 'Opening hours\nMonday to Friday\nCafé (lobby)\n9am-5pm');
+  });
+
+  it('inflates FlateDecode content streams and maps characters through ToUnicode fonts', () => {
+    const cmap = [
+      'begincmap',
+      '1 begincodespacerange <0000> <ffff> endcodespacerange',
+      '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar',
+      '1 beginbfrange <0010> <0012> <0061> endbfrange',
+      'endcmap'
+    ].join('\n');
+    const pdf = buildPdf(pagesWith([deflated('BT /F1 12 Tf <00010002> Tj 0 -14 Td <001000110012> Tj ET')], {
+      fonts: '/F1 5 0 R',
+      extraObjects: ['<< /Type /Font /Subtype /Type0 /ToUnicode 6 0 R >>', deflated(cmap)]
+    }));
+
+    assert.equal(extractPdfText(pdf), 'Hi\nabc');
+  });
+
+  it('unpacks pages kept in compressed object streams', () => {
+    const packed = ['<< /Type /Pages /Kids [5 0 R] /Count 1 >>', '<< /Type /Page /Parent 2 0 R /Contents 3 0 R >>'];
+    const offsets = `2 0 5 ${packed[0].length + 1}`;
+    const objectStream = zlib.deflateSync(Buffer.from(`${offsets}\n${packed.join('\n')}`, 'latin1'));
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      { dictionary: `<< /Type /ObjStm /N 2 /First ${offsets.length + 1} /Filter /FlateDecode >>`, stream: objectStream.toString('latin1') },
+      stream('BT (Packed page) Tj ET')
+    ]);
+
+    assert.equal(extractPdfText(pdf), 'Packed page');
+  });
+
+  it('rejects files that are not PDFs or are encrypted', () => {
+    assert.throws(() => extractPdfText(Buffer.from('Opening hours: 9am-5pm')), /Not a PDF file/);
+
+    const encrypted = buildPdf([...pagesWith([stream('BT (Secret) Tj ET')]), '<< /Filter /Standard /V 2 >>'])
+      .toString('latin1')
+      .replace('<< /Type /Catalog', '<< /Encrypt 6 0 R /Type /Catalog');
+    assert.throws(() => extractPdfText(Buffer.from(encrypted, 'latin1')), /Encrypted PDFs are not supported/);
+  });
+
+  it('reads what it can of malformed files', () => {
+    const corrupt = { dictionary: '<< /Filter /FlateDecode >>', stream: 'not deflate data' };
+    // A corrupt stream and a string that never ends are dropped without stopping the other pages
+    const pdf = buildPdf(pagesWith([corrupt, stream('BT (Readable) Tj ET'), stream('BT (Unterminated')]));
+    assert.equal(extractPdfText(pdf), 'Readable');
+
+    // Cut off inside a stream, before any page object
+    const truncated = buildPdf(pagesWith([stream('BT (Lost) Tj ET')])).subarray(0, 120);
+    assert.equal(extractPdfText(truncated), '');
+
+    // Images and other filters are skipped rather than read as text
+    const image = { dictionary: '<< /Filter /DCTDecode >>', stream: '\xff\xd8\xff\xe0' };
+    assert.equal(extractPdfText(buildPdf(pagesWith([image]))), '');
+  });
+
+  it('stops streams that inflate past the size limit', () => {
+    const bomb = zlib.deflateSync(Buffer.alloc(MAX_INFLATED_BYTES + 1, 0x20));
+    const pdf = buildPdf(pagesWith([{ dictionary: '<< /Filter /FlateDecode >>', stream: bomb.toString('latin1') }]));
+
+    assert.throws(() => extractPdfText(pdf), /too large to read/);
+  });
+
+  it('counts every stream against the size limit, including ones shared by many pages', () => {
+    // A megabyte of comment inflates cheaply but has to be read again for every page
+    const content = deflated(`%${'x'.repeat(1024 * 1024)}\nBT (Page) Tj ET`);
+    const pages = Array.from({ length: 40 }, () => '<< /Type /Page /Parent 2 0 R /Contents 3 0 R >>');
+    const pdf = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      content,
+      ...pages
+    ]);
+
+    assert.throws(() => extractPdfText(pdf), /too large to read/);
+  });
+
+  it('rejects documents with more text than the limit', () => {
+    const line = `(${'word '.repeat(200)}) Tj T* `;
+    const content = `BT ${line.repeat(Math.ceil(MAX_TEXT_LENGTH / 1000) + 1)} ET`;
+    const pdf = buildPdf(pagesWith([deflated(content)]));
+
+    assert.throws(() => extractPdfText(pdf), /more than 2 MB of text/);
+  });
+});
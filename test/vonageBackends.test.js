@@ -0,0 +1,184 @@
+/**
+ * Contract tests for the Vonage client backends (see server/services/vonageService.js)
+ * Every backend runs the same cases against the local Vonage API emulator, so they have to agree
+ * on arguments, result shapes and how failed requests are reported
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVonageEmulator } = require('../server/emulator/vonageEmulator');
+
+const BACKENDS = {
+  rest: '../server/services/vonageServiceREST',
+  sdk: '../server/services/vonageServiceSDK'
+};
+
+const OWNED_NUMBER = '15557654321';
+const CALLED_NUMBER = '447700900123';
+
+// The backends and the emulator log every request; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const emulator = createVonageEmulator({
+  apiKey: 'contract-key',
+  apiSecret: 'contract-secret',
+  numbers: [OWNED_NUMBER]
+});
+const vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vonage-contract-'));
+
+before(async () => {
+  const url = await emulator.listen();
+
+  // vonageCommon and the credential vault read their settings when they are first required
+  process.env.VONAGE_API_BASE_URL = url;
+  process.env.VONAGE_REST_BASE_URL = url;
+  process.env.VONAGE_API_KEY = 'contract-key';
+  process.env.VONAGE_API_SECRET = 'contract-secret';
+  process.env.VONAGE_VAULT_FILE = path.join(vaultDir, 'credentials.json');
+  delete process.env.VONAGE_VAULT_KEY;
+});
+
+after(async () => {
+  await emulator.close();
+  fs.rmSync(vaultDir, { recursive: true, force: true });
+});
+
+for (const [name, modulePath] of Object.entries(BACKENDS)) {
+  describe(`Vonage ${name} backend`, () => {
+    let client;
+    let application;
+    let callUuid;
+
+    before(() => {
+      client = require(modulePath);
+    });
+
+    it('implements the whole client interface', () => {
+      const { assertImplementsClient } = require('../server/services/vonageService');
+      assert.doesNotThrow(() => assertImplementsClient(name, client));
+    });
+
+    it('creates an application and keeps its private key on the server', async () => {
+      application = await client.createVoiceApplication(`${name} contract`, 'http://127.0.0.1:9/answer', 'http://127.0.0.1:9/event');
+
+      assert.equal(typeof application.id, 'string');
+      assert.equal(application.name, `${name} contract`);
+      assert.equal(typeof application.keys.public_key, 'string');
+      assert.equal(application.keys.private_key, undefined);
+    });
+
+    it('lists and gets applications as summaries', async () => {
+      const expected = {
+        id: application.id,
+        name: `${name} contract`,
+        answerUrl: 'http://127.0.0.1:9/answer',
+        eventUrl: 'http://127.0.0.1:9/event',
+        hasCredentials: true
+      };
+
+      const listed = await client.listApplications();
+      assert.deepEqual(listed.find(candidate => candidate.id === application.id), expected);
+      assert.deepEqual(await client.getApplication(application.id), expected);
+    });
+
+    it('updates only the fields it is given', async () => {
+      const updated = await client.updateApplication(application.id, { name: `${name} renamed` });
+
+      assert.equal(updated.name, `${name} renamed`);
+      assert.equal(updated.answerUrl, 'http://127.0.0.1:9/answer');
+      assert.equal(updated.eventUrl, 'http://127.0.0.1:9/event');
+    });
+
+    it('reports failed requests with the status and body Vonage returned', async () => {
+      await assert.rejects(client.getApplication('no-such-application'), (error) => {
+        assert.equal(error.response.status, 404);
+        assert.equal(error.response.data.title, 'Not Found');
+        return true;
+      });
+    });
+
+    it('lists, searches, buys, links and cancels numbers', async () => {
+      const owned = await client.listNumbers();
+      assert.deepEqual(owned.find(number => number.msisdn === OWNED_NUMBER), {
+        msisdn: OWNED_NUMBER,
+        country: 'US',
+        type: 'mobile-lvn',
+        features: ['VOICE', 'SMS'],
+        applicationId: null
+      });
+
+      const available = await client.searchNumbers({ country: 'GB', features: 'VOICE' });
+      assert.ok(available.length > 0);
+      assert.equal(available[0].country, 'GB');
+      assert.match(available[0].msisdn, /^44\d+$/);
+      assert.equal(available[0].cost, '0.90');
+
+      const bought = available[0].msisdn;
+      await client.buyNumber('GB', bought);
+      await assert.rejects(client.buyNumber('GB', bought));
+
+      await client.linkNumber('GB', bought, application.id);
+      const linked = await client.listNumbers({ applicationId: application.id });
+      assert.deepEqual(linked.map(number => number.msisdn), [bought]);
+
+      await client.cancelNumber('GB', bought);
+      assert.ok(!(await client.listNumbers()).some(number => number.msisdn === bought));
+      await assert.rejects(client.cancelNumber('GB', bought));
+    });
+
+    it('starts a call and reads its details', async () => {
+      const call = await client.startCall(CALLED_NUMBER, OWNED_NUMBER, [{ action: 'conversation', name: 'contract' }], application.id);
+
+      assert.equal(typeof call.uuid, 'string');
+      assert.equal(call.status, 'started');
+      assert.equal(call.direction, 'outbound');
+      assert.match(call.conversation_uuid, /^CON-/);
+      callUuid = call.uuid;
+
+      const details = await client.getCallInfo(callUuid, application.id);
+      assert.equal(details.uuid, callUuid);
+      assert.equal(details.conversation_uuid, call.conversation_uuid);
+      assert.deepEqual(details.to, { type: 'phone', number: CALLED_NUMBER });
+      assert.deepEqual(details.from, { type: 'phone', number: OWNED_NUMBER });
+    });
+
+    it('controls a call in progress', async () => {
+      await client.modifyCall(callUuid, application.id, 'mute');
+      await client.modifyCall(callUuid, application.id, 'unearmuff');
+      await client.playTalk(callUuid, application.id, 'Hello from the contract tests');
+      await client.stopTalk(callUuid, application.id);
+      await client.playStream(callUuid, application.id, 'https://example.com/hold.mp3');
+      await client.stopStream(callUuid, application.id);
+      await client.sendDtmf(callUuid, application.id, '12#');
+      await client.transferCall(callUuid, application.id, [{ action: 'conversation', name: 'transferred' }]);
+
+      await assert.rejects(client.modifyCall(callUuid, application.id, 'dance'), /Unsupported call action/);
+      await assert.rejects(client.sendDtmf(callUuid, application.id, 'abc'), (error) => {
+        assert.equal(error.response.status, 400);
+        return true;
+      });
+    });
+
+    it('keeps controlling calls after the application key is rotated', async () => {
+      const rotated = await client.rotateApplicationKey(application.id);
+      assert.equal(rotated.id, application.id);
+      assert.equal(rotated.hasCredentials, true);
+
+      // A token signed with the old key would now be rejected
+      await client.modifyCall(callUuid, application.id, 'hangup');
+      const details = await client.getCallInfo(callUuid, application.id);
+      assert.equal(details.status, 'completed');
+    });
+
+    it('deletes an application and forgets its credentials', async () => {
+      await client.deleteApplication(application.id);
+
+      assert.ok(!(await client.listApplications()).some(candidate => candidate.id === application.id));
+      await assert.rejects(client.getCallInfo(callUuid, application.id));
+    });
+  });
+}
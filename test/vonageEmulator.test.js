@@ -0,0 +1,170 @@
+/**
+ * Tests for the Vonage API emulator (server/emulator)
+ * Calls placed on the emulator have to drive this server's webhooks the way Vonage does:
+ * signed events in order, answer and input NCCOs, and downloadable recordings
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { createVonageEmulator } = require('../server/emulator/vonageEmulator');
+
+const SIGNATURE_SECRET = 'emulator-test-signature-secret';
+const OWNED_NUMBER = '15557654321';
+
+// The client and the emulator log every request; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const emulator = createVonageEmulator({
+  apiKey: 'emulator-key',
+  apiSecret: 'emulator-secret',
+  signatureSecret: SIGNATURE_SECRET,
+  timeScale: 0.01,
+  utterances: ['What are your opening hours?'],
+  numbers: [OWNED_NUMBER]
+});
+const vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vonage-emulator-'));
+
+// Webhooks received by the application, in order
+const received = [];
+let webhookServer;
+let webhookUrl;
+let client;
+let applicationId;
+
+before(async () => {
+  const url = await emulator.listen();
+  process.env.VONAGE_API_BASE_URL = url;
+  process.env.VONAGE_REST_BASE_URL = url;
+  process.env.VONAGE_API_KEY = 'emulator-key';
+  process.env.VONAGE_API_SECRET = 'emulator-secret';
+  process.env.VONAGE_SIGNATURE_SECRET = SIGNATURE_SECRET;
+  process.env.VONAGE_VAULT_FILE = path.join(vaultDir, 'credentials.json');
+  delete process.env.VONAGE_VAULT_KEY;
+  delete process.env.VONAGE_VERIFY_WEBHOOKS;
+
+  // The application side, checking signatures with the same middleware as server/index.js and the API routes
+  const { verifyVonageSignature } = require('../server/middleware/vonageSignature');
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use(verifyVonageSignature);
+  app.get('/answer', (req, res) => {
+    received.push({ type: 'answer', body: req.query });
+    res.json([
+      { action: 'record', eventUrl: [`${webhookUrl}/recording`] },
+      { action: 'talk', text: 'Hello' },
+      { action: 'input', type: ['speech'], eventUrl: [`${webhookUrl}/input`] }
+    ]);
+  });
+  app.post('/input', (req, res) => {
+    received.push({ type: 'input', body: req.body });
+    res.json([{ action: 'talk', text: 'Goodbye' }]);
+  });
+  app.post('/event', (req, res) => {
+    received.push({ type: 'event', body: req.body });
+    res.status(204).end();
+  });
+  app.post('/recording', (req, res) => {
+    received.push({ type: 'recording', body: req.body });
+    res.status(204).end();
+  });
+
+  await new Promise(resolve => {
+    webhookServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  webhookUrl = `http://127.0.0.1:${webhookServer.address().port}`;
+
+  client = require('../server/services/vonageServiceREST');
+  const application = await client.createVoiceApplication('emulator test', `${webhookUrl}/answer`, `${webhookUrl}/event`);
+  applicationId = application.id;
+  await client.linkNumber('US', OWNED_NUMBER, applicationId);
+});
+
+after(async () => {
+  await emulator.close();
+  await new Promise(resolve => webhookServer.close(resolve));
+  fs.rmSync(vaultDir, { recursive: true, force: true });
+});
+
+// Poll until the webhooks for a call satisfy a condition
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for webhooks');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function eventsFor(uuid) {
+  return received
+    .filter(webhook => webhook.type === 'event' && webhook.body.uuid === uuid)
+    .map(webhook => webhook.body.status);
+}
+
+describe('Vonage API emulator', () => {
+  it('steps an outbound call through its NCCO and sends signed events in order', async () => {
+    const call = await client.startCall('447700900123', OWNED_NUMBER, [{ action: 'talk', text: 'Hello there' }], applicationId);
+
+    await waitFor(() => eventsFor(call.uuid).includes('completed'));
+    assert.deepEqual(eventsFor(call.uuid), ['started', 'ringing', 'answered', 'completed']);
+
+    const details = await client.getCallInfo(call.uuid, applicationId);
+    assert.equal(details.status, 'completed');
+    assert.ok(details.end_time);
+  });
+
+  it('ends calls to numbers ending in a SIP code with the matching outcome', async () => {
+    const call = await client.startCall('447700900486', OWNED_NUMBER, [{ action: 'talk', text: 'Unheard' }], applicationId);
+
+    await waitFor(() => eventsFor(call.uuid).includes('busy'));
+    assert.deepEqual(eventsFor(call.uuid), ['started', 'ringing', 'busy']);
+  });
+
+  it('keeps a call hung up while ringing completed', async () => {
+    const call = await client.startCall('447700900123', OWNED_NUMBER, [{ action: 'talk', text: 'Unheard' }], applicationId);
+    await client.modifyCall(call.uuid, applicationId, 'hangup');
+
+    await waitFor(() => eventsFor(call.uuid).includes('completed'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal((await client.getCallInfo(call.uuid, applicationId)).status, 'completed');
+    assert.ok(!eventsFor(call.uuid).includes('answered'));
+  });
+
+  it('answers inbound calls from the answer webhook, sends speech input and reports the recording', async () => {
+    const call = await emulator.startInboundCall({ to: OWNED_NUMBER, from: '15550100100' });
+
+    await waitFor(() => received.some(webhook => webhook.type === 'recording' && webhook.body.conversation_uuid === call.conversationUuid));
+
+    const answer = received.find(webhook => webhook.type === 'answer' && webhook.body.uuid === call.uuid);
+    assert.equal(answer.body.to, OWNED_NUMBER);
+    assert.equal(answer.body.from, '15550100100');
+
+    const input = received.find(webhook => webhook.type === 'input' && webhook.body.uuid === call.uuid);
+    assert.equal(input.body.speech.results[0].text, 'What are your opening hours?');
+
+    assert.deepEqual(eventsFor(call.uuid), ['started', 'ringing', 'answered', 'completed']);
+
+    // Recordings download with the account credentials, like the recording webhook handler does
+    const recording = received.find(webhook => webhook.type === 'recording' && webhook.body.conversation_uuid === call.conversationUuid);
+    const download = await axios.get(recording.body.recording_url, {
+      auth: { username: 'emulator-key', password: 'emulator-secret' },
+      responseType: 'arraybuffer'
+    });
+    assert.equal(download.headers['content-type'], 'audio/mpeg');
+    assert.equal(download.data.length, recording.body.size);
+  });
+
+  it('rejects requests with the wrong credentials', async () => {
+    await assert.rejects(
+      axios.get(`${process.env.VONAGE_API_BASE_URL}/v2/applications`, { auth: { username: 'emulator-key', password: 'wrong' } }),
+      (error) => error.response.status === 401
+    );
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for Vonage request verification (server/middleware/vonageSignature.js)
+ * Signed webhooks, the recording download allowlist and media socket tokens
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  verifyVonageSignature,
+  isAllowedRecordingUrl,
+  createMediaToken,
+  verifyMediaSocketRequest
+} = require('../server/middleware/vonageSignature');
+
+const SECRET = 'signature-test-secret';
+
+// Rejections are logged; keep the test output readable
+console.warn = () => {};
+console.error = () => {};
+
+// An HS256 JWT the way Vonage signs webhooks, with a payload_hash of the body unless claims say otherwise
+function signWebhook(body, { claims = {}, header = { alg: 'HS256', typ: 'JWT' }, secret = SECRET } = {}) {
+  const payload = {
+    iat: Math.floor(Date.now() / 1000),
+    jti: crypto.randomUUID(),
+    ...(body ? { payload_hash: crypto.createHash('sha256').update(body).digest('hex') } : {}),
+    ...claims
+  };
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+// Run the middleware on a request, resolving with the status it rejected with, or 'next' if it let it through
+function verify({ token, body }) {
+  const rawBody = body === undefined ? undefined : Buffer.from(body);
+  const req = {
+    originalUrl: '/api/vonage/event',
+    rawBody,
+    get: (name) => (name === 'Authorization' && token !== undefined ? `Bearer ${token}` : undefined)
+  };
+
+  return new Promise((resolve) => {
+    const res = {
+      status: (status) => ({ json: (result) => resolve({ status, message: result.message, req }) })
+    };
+    verifyVonageSignature(req, res, () => resolve({ status: 'next', req }));
+  });
+}
+
+describe('verifyVonageSignature', () => {
+  beforeEach(() => {
+    process.env.VONAGE_SIGNATURE_SECRET = SECRET;
+    delete process.env.VONAGE_VERIFY_WEBHOOKS;
+  });
+
+  it('accepts a correctly signed webhook and keeps its claims', async () => {
+    const body = JSON.stringify({ uuid: 'call-1', status: 'answered' });
+    const result = await verify({ token: signWebhook(body), body });
+
+    assert.equal(result.status, 'next');
+    assert.equal(typeof result.req.vonageClaims.jti, 'string');
+  });
+
+  it('accepts a signed webhook without a body', async () => {
+    assert.equal((await verify({ token: signWebhook() })).status, 'next');
+  });
+
+  it('rejects unsigned webhooks and ones signed with another secret', async () => {
+    const body = '{}';
+    assert.deepEqual(await verify({ body }).then(({ status, message }) => ({ status, message })), {
+      status: 401,
+      message: 'Webhook is not signed'
+    });
+
+    const result = await verify({ token: signWebhook(body, { secret: 'another-secret' }), body });
+    assert.equal(result.status, 401);
+    assert.equal(result.message, 'Invalid webhook signature');
+  });
+
+  it('rejects tokens that are not HS256', async () => {
+    const unsigned = signWebhook('{}', { header: { alg: 'none', typ: 'JWT' } }).split('.').slice(0, 2).join('.');
+    const result = await verify({ token: `${unsigned}.`, body: '{}' });
+
+    assert.equal(result.status, 401);
+    assert.equal(result.message, 'Unexpected webhook token algorithm: none');
+  });
+
+  it('rejects malformed tokens', async () => {
+    assert.equal((await verify({ token: 'not-a-jwt', body: '{}' })).message, 'Malformed webhook token');
+    assert.equal((await verify({ token: 'a.b.c', body: '{}' })).message, 'Malformed webhook token');
+  });
+
+  it('rejects expired, stale and future tokens', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const cases = [
+      [{ exp: now - 120 }, 'Webhook token has expired'],
+      [{ iat: now - 10 * 60 }, 'Webhook token is stale'],
+      [{ iat: now + 10 * 60 }, 'Webhook token is issued in the future'],
+      [{ iat: undefined }, 'Webhook token has no issue time']
+    ];
+
+    for (const [claims, message] of cases) {
+      const result = await verify({ token: signWebhook('{}', { claims }), body: '{}' });
+      assert.equal(result.status, 401);
+      assert.equal(result.message, message);
+    }
+  });
+
+  it('rejects bodies that do not match the signed payload_hash', async () => {
+    const token = signWebhook(JSON.stringify({ status: 'answered' }));
+    const tampered = await verify({ token, body: JSON.stringify({ status: 'completed' }) });
+    assert.equal(tampered.message, 'Webhook body does not match its signature');
+
+    // A token without a payload_hash cannot vouch for a body
+    const uncovered = await verify({ token: signWebhook(), body: '{"status":"answered"}' });
+    assert.equal(uncovered.message, 'Webhook token does not cover the request body');
+  });
+
+  it('rejects every webhook when no signature secret is configured', async () => {
+    delete process.env.VONAGE_SIGNATURE_SECRET;
+    const result = await verify({ token: signWebhook('{}'), body: '{}' });
+
+    assert.equal(result.status, 401);
+    assert.equal(result.message, 'Webhook signature verification is not configured');
+  });
+
+  it('lets everything through when verification is turned off', async () => {
+    process.env.VONAGE_VERIFY_WEBHOOKS = 'false';
+    assert.equal((await verify({ body: '{}' })).status, 'next');
+  });
+});
+
+describe('isAllowedRecordingUrl', () => {
+  beforeEach(() => {
+    delete process.env.VONAGE_RECORDING_HOSTS;
+    delete process.env.VONAGE_API_BASE_URL;
+  });
+
+  it('allows https URLs on Vonage hosts and their subdomains', () => {
+    assert.equal(isAllowedRecordingUrl('https://api.nexmo.com/v1/files/abc'), true);
+    assert.equal(isAllowedRecordingUrl('https://api-us.vonage.com/v1/files/abc'), true);
+    assert.equal(isAllowedRecordingUrl('https://API.NEXMO.COM/v1/files/abc'), true);
+  });
+
+  it('refuses lookalike hosts', () => {
+    assert.equal(isAllowedRecordingUrl('https://api.nexmo.com.evil.test/v1/files/abc'), false);
+    assert.equal(isAllowedRecordingUrl('https://evilnexmo.com/v1/files/abc'), false);
+    assert.equal(isAllowedRecordingUrl('https://nexmo.com@evil.test/v1/files/abc'), false);
+    assert.equal(isAllowedRecordingUrl('https://evil.test/api.nexmo.com/v1/files/abc'), false);
+  });
+
+  it('refuses URLs that are not https or not URLs at all', () => {
+    assert.equal(isAllowedRecordingUrl('http://api.nexmo.com/v1/files/abc'), false);
+    assert.equal(isAllowedRecordingUrl('ftp://api.nexmo.com/v1/files/abc'), false);
+    assert.equal(isAllowedRecordingUrl('not a url'), false);
+    assert.equal(isAllowedRecordingUrl(undefined), false);
+  });
+
+  it('uses VONAGE_RECORDING_HOSTS, matching exact hosts and dotted suffixes', () => {
+    process.env.VONAGE_RECORDING_HOSTS = 'recordings.example.com, .files.example.net';
+
+    assert.equal(isAllowedRecordingUrl('https://recordings.example.com/abc'), true);
+    assert.equal(isAllowedRecordingUrl('https://eu.recordings.example.com/abc'), false);
+    assert.equal(isAllowedRecordingUrl('https://eu.files.example.net/abc'), true);
+    assert.equal(isAllowedRecordingUrl('https://api.nexmo.com/v1/files/abc'), false);
+  });
+
+  it('allows the configured API base URL, such as the local emulator, over http', () => {
+    process.env.VONAGE_API_BASE_URL = 'http://127.0.0.1:3100';
+
+    assert.equal(isAllowedRecordingUrl('http://127.0.0.1:3100/v1/files/abc'), true);
+    assert.equal(isAllowedRecordingUrl('http://127.0.0.1:3101/v1/files/abc'), false);
+  });
+});
+
+describe('media socket tokens', () => {
+  const upgradeRequest = (token) => ({ url: `/api/vonage/media${token === undefined ? '' : `?token=${encodeURIComponent(token)}`}` });
+
+  it('accepts a token it issued and returns the call it was issued for', () => {
+    const claims = verifyMediaSocketRequest(upgradeRequest(createMediaToken('call-1')));
+
+    assert.equal(claims.callUuid, 'call-1');
+    assert.ok(claims.exp > Date.now() / 1000);
+  });
+
+  it('issues tokens for calls whose UUID is not known yet', () => {
+    assert.equal(verifyMediaSocketRequest(upgradeRequest(createMediaToken())).callUuid, '');
+  });
+
+  it('refuses missing, malformed and tampered tokens', () => {
+    assert.equal(verifyMediaSocketRequest(upgradeRequest()), null);
+    assert.equal(verifyMediaSocketRequest(upgradeRequest('not-a-token')), null);
+
+    // Claims for another call, keeping the original signature
+    const [, signature] = createMediaToken('call-1').split('.');
+    const forged = Buffer.from(JSON.stringify({ callUuid: 'call-2', exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+    assert.equal(verifyMediaSocketRequest(upgradeRequest(`${forged}.${signature}`)), null);
+  });
+
+  it('refuses expired tokens', (t) => {
+    const token = createMediaToken('call-1');
+    const issuedAt = Date.now();
+    t.mock.method(Date, 'now', () => issuedAt + 2 * 60 * 60 * 1000);
+
+    assert.equal(verifyMediaSocketRequest(upgradeRequest(token)), null);
+  });
+});